@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+import { readFileSync, realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import {
+    validateAutomaton,
+    createAutomaton,
+    formatStates,
+    formatWord,
+    normalizeWord,
+    parseTestSuite,
+    runTestSuite
+} from './core.js';
+
+const USAGE = `Uso:
+  automato accept <automato.json> <palavra>
+  automato test <automato.json> <palavras.txt | ->
+  automato layout <automato.json> [radial|layered|circular|force] [semente]`;
+
+const LAYOUTS = ['radial', 'layered', 'circular', 'force'];
+const HALT_REASONS = {
+    accept: 'parou em estado final',
+    reject: 'parou sem transição aplicável',
+    limit: 'limite de passos atingido'
+};
+
+class UsageError extends Error {
+}
+
+function readInput(file) {
+    try {
+        return readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (err) {
+        throw new Error(`Não foi possível ler ${file}: ${err.message}`);
+    }
+}
+
+function loadAutomaton(file) {
+    if (!file) throw new UsageError('Informe o arquivo do autômato.');
+
+    let data;
+    try {
+        data = JSON.parse(readInput(file));
+    } catch (err) {
+        throw new Error(err instanceof SyntaxError ? `JSON inválido em ${file}: ${err.message}` : err.message);
+    }
+
+    const errors = validateAutomaton(data);
+    if (errors.length > 0) {
+        const details = errors.map(({ message, entries }) => [message, ...entries.map(entry => `  ${entry}`)].join('\n'));
+        throw new Error(`Não foi possível carregar ${file}:\n${details.join('\n')}`);
+    }
+    return createAutomaton(data);
+}
+
+function describeRun(result) {
+    const path = result.steps.map(step => formatStates(step.states)).join(' → ');
+    const lines = [`caminho: ${path}`];
+
+    if (result.output !== undefined) lines.push(`saída: ${formatWord(result.output)}`);
+    if (result.halt) lines.push(`parada: ${HALT_REASONS[result.halt]} após ${result.steps.length - 1} passos`);
+    else if (result.consumed < result.symbols.length) {
+        lines.push(`travou no símbolo ${result.consumed + 1} ('${result.symbols[result.consumed]}')`);
+    }
+
+    lines.push(result.accepted ? 'aceita' : 'rejeita');
+    return lines;
+}
+
+const commands = {
+    accept(print, file, word) {
+        if (word === undefined) throw new UsageError('Informe a palavra (use ε para a palavra vazia).');
+
+        const automaton = loadAutomaton(file);
+        const result = automaton.run(normalizeWord(word));
+        describeRun(result).forEach(line => print(line));
+        return result.accepted ? 0 : 1;
+    },
+
+    test(print, file, wordsFile) {
+        if (!wordsFile) throw new UsageError('Informe o arquivo com as palavras (ou - para a entrada padrão).');
+
+        const automaton = loadAutomaton(file);
+        const results = runTestSuite(automaton, parseTestSuite(readInput(wordsFile)));
+
+        for (const { word, expected, result, passed } of results) {
+            const columns = [formatWord(word), result.accepted ? 'aceita' : 'rejeita'];
+            if (result.output !== undefined) columns.push(`saída ${formatWord(result.output)}`);
+            if (expected !== null) columns.push(`esperado ${expected ? 'aceita' : 'rejeita'} ${passed ? '✔' : '✘'}`);
+            print(columns.join('\t'));
+        }
+
+        const accepted = results.filter(entry => entry.result.accepted).length;
+        const checked = results.filter(entry => entry.passed !== null);
+        const passed = checked.filter(entry => entry.passed).length;
+        print(`${results.length} palavras: ${accepted} aceitas, ${results.length - accepted} rejeitadas`
+            + (checked.length > 0 ? `; ${passed} de ${checked.length} conforme o esperado` : ''));
+        return passed === checked.length ? 0 : 1;
+    },
+
+    layout(print, file, algorithm = 'radial', seed) {
+        if (!LAYOUTS.includes(algorithm)) throw new UsageError(`Layout desconhecido, use ${LAYOUTS.join(', ')}.`);
+        if (seed !== undefined && !Number.isInteger(Number(seed))) throw new UsageError('A semente deve ser um número inteiro.');
+
+        const automaton = loadAutomaton(file);
+        automaton.layout(algorithm, seed === undefined ? null : Number(seed));
+        for (const [name, { x, y }] of Object.entries(automaton.toJSON().positions)) {
+            print(`${name}\t${x}\t${y}`);
+        }
+        return 0;
+    }
+};
+
+function runCli(args, print = console.log, printError = console.error) {
+    const [command, ...rest] = args;
+    if (!Object.hasOwn(commands, command)) {
+        printError(command ? `Comando desconhecido: ${command}\n${USAGE}` : USAGE);
+        return 2;
+    }
+
+    try {
+        return commands[command](print, ...rest);
+    } catch (err) {
+        printError(err instanceof UsageError ? `${err.message}\n${USAGE}` : err.message);
+        return 2;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+    process.exitCode = runCli(process.argv.slice(2));
+}
+
+export { runCli };
@@ -0,0 +1,2516 @@
+const DEFAULT_STATE_RADIUS = 30;
+let STATE_RADIUS;
+let FINAL_STATE_OUTER_RADIUS;
+let MIN_STATE_DISTANCE;
+let LAYER_SPACING;
+let NODE_SPACING;
+const ENUMERATION_LIMIT = 100000;
+const EPSILON = 'ε';
+const AUTOMATON_TYPES = ['AFD', 'AFN', 'AFN-ε', 'APD', 'MT', 'Mealy', 'Moore'];
+const ACCEPTANCE_MODES = ['finalState', 'emptyStack'];
+const PDA_STACK_LIMIT = 100;
+const PDA_CONFIGURATION_LIMIT = 500;
+const BLANK = '□';
+const DEFAULT_STEP_LIMIT = 1000;
+
+function setStateRadius(radius) {
+    STATE_RADIUS = radius;
+    FINAL_STATE_OUTER_RADIUS = STATE_RADIUS + 8;
+    MIN_STATE_DISTANCE = STATE_RADIUS * 2.5;
+    LAYER_SPACING = MIN_STATE_DISTANCE * 2;
+    NODE_SPACING = MIN_STATE_DISTANCE * 1.5;
+}
+
+setStateRadius(DEFAULT_STATE_RADIUS);
+
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const edgeKey = (from, to) => `${from}\u2192${to}`;
+const formatStates = (states) => states.length === 1 ? states[0] : `{${states.join(', ')}}`;
+const formatWord = (word) => word === '' ? EPSILON : word;
+
+const EPSILON_ALIASES = ['', 'ε', 'eps', 'epsilon', 'λ', 'lambda'];
+const normalizeSymbol = (symbol) => EPSILON_ALIASES.includes(symbol.trim().toLowerCase()) ? EPSILON : symbol.trim();
+const normalizeWord = (word) => EPSILON_ALIASES.includes(word.trim().toLowerCase()) ? '' : word.trim();
+
+class Vector2 {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    copy(v) {
+        return this.set(v.x, v.y);
+    }
+
+    clone() {
+        return new Vector2(this.x, this.y);
+    }
+
+    add(v) {
+        return this.set(this.x + v.x, this.y + v.y);
+    }
+
+    sub(v) {
+        return this.set(this.x - v.x, this.y - v.y);
+    }
+
+    subVectors(a, b) {
+        return this.set(a.x - b.x, a.y - b.y);
+    }
+
+    multiplyScalar(scalar) {
+        return this.set(this.x * scalar, this.y * scalar);
+    }
+
+    divideScalar(scalar) {
+        return this.multiplyScalar(1 / scalar);
+    }
+
+    dot(v) {
+        return this.x * v.x + this.y * v.y;
+    }
+
+    lengthSq() {
+        return this.x * this.x + this.y * this.y;
+    }
+
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+
+    normalize() {
+        return this.divideScalar(this.length() || 1);
+    }
+
+    distanceTo(v) {
+        return Math.sqrt((this.x - v.x) ** 2 + (this.y - v.y) ** 2);
+    }
+
+    equals(v) {
+        return this.x === v.x && this.y === v.y;
+    }
+}
+
+class AlgorithmTrace {
+    constructor(type = 'AFD') {
+        this.type = type;
+        this.steps = [];
+    }
+
+    step(text, { operations = [], states = [], edges = [] } = {}) {
+        this.steps.push({ text, operations, states, edges });
+    }
+
+    build(count = this.steps.length) {
+        const automaton = newAutomaton(this.type);
+        for (const { operations } of this.steps.slice(0, count)) {
+            for (const [method, ...args] of operations) {
+                automaton[method](...args);
+            }
+        }
+        return automaton;
+    }
+}
+
+const formatPartition = (partition) => partition.map(block => `{${block.join(', ')}}`).join(' ');
+
+class AFD {
+    constructor() {
+        this.type = 'AFD';
+        this.alphabet = [];
+        this.states = new Map();
+        this.transitions = [];
+        this.initialState = null;
+        this.selfLoops = new Map();
+        this.fixedPositions = new Map();
+        this.edgeBends = new Map();
+        this.extraCurves = new Map();
+        this.stateColors = new Map();
+        this.stateStyles = new Map();
+    }
+
+    configure() {
+    }
+
+    addState(name, isInitial = false, isFinal = false) {
+        this.states.set(name, {
+            position: new Vector2(),
+            isInitial,
+            isFinal
+        });
+        if (isInitial) this.initialState = name;
+    }
+
+    addTransition(from, to, symbol) {
+        if (from === to) {
+            if (!this.selfLoops.has(from)) {
+                this.selfLoops.set(from, []);
+            }
+            this.selfLoops.get(from).push(symbol);
+        } else {
+            this.transitions.push({ from, to, symbol });
+        }
+    }
+
+    removeState(name) {
+        this.states.delete(name);
+        this.selfLoops.delete(name);
+        this.stateColors.delete(name);
+        this.fixedPositions.delete(name);
+        this.transitions = this.transitions.filter(t => t.from !== name && t.to !== name);
+        if (this.initialState === name) this.initialState = null;
+    }
+
+    removeTransitions(from, to) {
+        if (from === to) {
+            this.selfLoops.delete(from);
+        } else {
+            this.transitions = this.transitions.filter(t => t.from !== from || t.to !== to);
+        }
+    }
+
+    targets(state, symbol) {
+        const targets = this.transitions
+            .filter(t => t.from === state && t.symbol === symbol)
+            .map(t => t.to);
+        if (this.selfLoops.get(state)?.includes(symbol)) targets.push(state);
+        return targets;
+    }
+
+    setTargets(from, symbol, targets) {
+        this.transitions = this.transitions.filter(t => t.from !== from || t.symbol !== symbol);
+        const loops = this.selfLoops.get(from)?.filter(s => s !== symbol) ?? [];
+        if (loops.length > 0) this.selfLoops.set(from, loops);
+        else this.selfLoops.delete(from);
+
+        if (symbol !== EPSILON && targets.length > 0 && !this.alphabet.includes(symbol)) {
+            this.alphabet.push(symbol);
+        }
+        targets.forEach(to => this.addTransition(from, to, symbol));
+    }
+
+    transitionTable() {
+        const symbols = this.inputSymbols().filter(symbol => symbol !== EPSILON);
+        if (this.type === 'AFN-ε') symbols.push(EPSILON);
+
+        return {
+            symbols,
+            rows: Array.from(this.states, ([name, { isInitial, isFinal }]) => ({
+                name,
+                isInitial,
+                isFinal,
+                cells: symbols.map(symbol => this.sortStates(this.targets(name, symbol)))
+            }))
+        };
+    }
+
+    hasTransition(from, symbol) {
+        return this.selfLoops.get(from)?.includes(symbol)
+            || this.transitions.some(t => t.from === from && t.symbol === symbol);
+    }
+
+    setInitial(name) {
+        if (this.initialState) this.states.get(this.initialState).isInitial = false;
+
+        if (this.initialState === name) {
+            this.initialState = null;
+        } else {
+            this.states.get(name).isInitial = true;
+            this.initialState = name;
+        }
+    }
+
+    toggleFinal(name) {
+        const state = this.states.get(name);
+        state.isFinal = !state.isFinal;
+    }
+
+    snapshot() {
+        return {
+            alphabet: [...this.alphabet],
+            states: Array.from(this.states, ([name, state]) => ({
+                name,
+                x: state.position.x,
+                y: state.position.y,
+                isInitial: state.isInitial,
+                isFinal: state.isFinal
+            })),
+            transitions: this.transitions.map(t => ({ ...t })),
+            selfLoops: Array.from(this.selfLoops, ([name, symbols]) => [name, [...symbols]]),
+            edgeBends: Array.from(this.edgeBends),
+            fixedPositions: Array.from(this.fixedPositions, ([name, { x, y }]) => [name, x, y])
+        };
+    }
+
+    restore(snapshot) {
+        this.alphabet = [...snapshot.alphabet];
+        this.states.clear();
+        this.initialState = null;
+        for (const { name, x, y, isInitial, isFinal } of snapshot.states) {
+            this.addState(name, isInitial, isFinal);
+            this.states.get(name).position.set(x, y);
+        }
+        this.transitions = snapshot.transitions.map(t => ({ ...t }));
+        this.selfLoops = new Map(snapshot.selfLoops.map(([name, symbols]) => [name, [...symbols]]));
+        this.edgeBends = new Map(snapshot.edgeBends);
+        this.fixedPositions = new Map(snapshot.fixedPositions.map(([name, x, y]) => [name, new Vector2(x, y)]));
+    }
+
+    toJSON() {
+        const transitions = this.transitions.map(({ from, to, symbol }) => ({ from, to, symbol }));
+        for (const [name, symbols] of this.selfLoops) {
+            symbols.forEach(symbol => transitions.push({ from: name, to: name, symbol }));
+        }
+
+        const curves = this.edges()
+            .filter(({ from, to }) => this.edgeBends.has(edgeKey(from, to)))
+            .map(({ from, to }) => ({ from, to, bend: this.edgeBends.get(edgeKey(from, to)) }));
+
+        return {
+            ...(this.type !== 'AFD' && { type: this.type }),
+            states: Array.from(this.states.keys()),
+            alphabet: this.inputSymbols().filter(symbol => symbol !== EPSILON),
+            transitions,
+            startState: this.initialState,
+            finalStates: Array.from(this.states.keys()).filter(name => this.states.get(name).isFinal),
+            positions: Object.fromEntries(Array.from(this.states, ([name, { position }]) => [
+                name,
+                { x: Number(position.x.toFixed(2)), y: Number(position.y.toFixed(2)) }
+            ])),
+            ...(curves.length > 0 && { curves })
+        };
+    }
+
+    nextState(state, symbol) {
+        if (this.selfLoops.get(state)?.includes(symbol)) return state;
+        const transition = this.transitions.find(t => t.from === state && t.symbol === symbol);
+        return transition ? transition.to : null;
+    }
+
+    run(word) {
+        const symbols = Array.from(word);
+        const steps = [{ states: [this.initialState], symbol: null, edges: [] }];
+        let current = this.initialState;
+
+        for (const symbol of symbols) {
+            const next = this.nextState(current, symbol);
+            if (next === null) break;
+            steps.push({ states: [next], symbol, edges: [edgeKey(current, next)] });
+            current = next;
+        }
+
+        const consumed = steps.length - 1;
+        const accepted = consumed === symbols.length && this.states.get(current).isFinal;
+        return { symbols, steps, consumed, accepted };
+    }
+
+    stateConnections() {
+        const connections = new Map();
+        for (const state of this.states.keys()) {
+            connections.set(state, { in: 0, out: 0, successors: new Set(), predecessors: new Set() });
+        }
+
+        for (const transition of this.transitions) {
+            connections.get(transition.from).out += 1;
+            connections.get(transition.to).in += 1;
+            connections.get(transition.from).successors.add(transition.to);
+            connections.get(transition.to).predecessors.add(transition.from);
+        }
+
+        for (const state of this.selfLoops.keys()) {
+            connections.get(state).successors.add(state);
+            connections.get(state).predecessors.add(state);
+        }
+
+        return connections;
+    }
+
+    calculatePathLengths(connections = this.stateConnections()) {
+        const pathLengths = new Map();
+        if (!this.initialState) return pathLengths;
+
+        const queue = [this.initialState];
+        pathLengths.set(this.initialState, 0);
+        while (queue.length > 0) {
+            const state = queue.shift();
+            for (const next of connections.get(state).successors) {
+                if (!pathLengths.has(next)) {
+                    pathLengths.set(next, pathLengths.get(state) + 1);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return pathLengths;
+    }
+
+    loopSymbols(state) {
+        return this.selfLoops.get(state) ?? [];
+    }
+
+    stateDetails(name) {
+        const connections = this.stateConnections();
+        const loops = this.loopSymbols(name).length;
+        return {
+            in: connections.get(name).in + loops,
+            out: connections.get(name).out + loops,
+            distance: this.calculatePathLengths(connections).get(name) ?? null,
+            isFinal: this.states.get(name).isFinal
+        };
+    }
+
+    shortestPath(from, to) {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0 && !previous.has(to)) {
+            const state = queue.shift();
+            const moves = [
+                ...this.transitions.filter(t => t.from === state),
+                ...this.loopSymbols(state).map(symbol => ({ to: state, symbol }))
+            ];
+            for (const move of moves) {
+                if (previous.has(move.to)) continue;
+                previous.set(move.to, { state, symbol: move.symbol });
+                queue.push(move.to);
+            }
+        }
+        if (!previous.has(to)) return null;
+
+        const states = [to];
+        const symbols = [];
+        for (let step = previous.get(to); step !== null; step = previous.get(step.state)) {
+            states.unshift(step.state);
+            symbols.unshift(step.symbol);
+        }
+
+        return {
+            word: symbols.filter(symbol => symbol !== EPSILON).join(''),
+            states,
+            edges: states.slice(1).map((state, i) => edgeKey(states[i], state))
+        };
+    }
+
+    reachableStates() {
+        return new Set(this.calculatePathLengths().keys());
+    }
+
+    acceptsByFinalState() {
+        return true;
+    }
+
+    analyseStates(connections = this.stateConnections()) {
+        const names = Array.from(this.states.keys());
+        const reachable = this.calculatePathLengths(connections);
+
+        const productive = new Set(names.filter(name => !this.acceptsByFinalState() || this.states.get(name).isFinal));
+        const queue = [...productive];
+        while (queue.length > 0) {
+            for (const previous of connections.get(queue.shift()).predecessors) {
+                if (!productive.has(previous)) {
+                    productive.add(previous);
+                    queue.push(previous);
+                }
+            }
+        }
+
+        return {
+            unreachable: names.filter(name => !reachable.has(name)),
+            dead: names.filter(name => !productive.has(name)),
+            useful: names.filter(name => reachable.has(name) && productive.has(name))
+        };
+    }
+
+    hasUsefulCycle(useful, connections = this.stateConnections()) {
+        const visiting = new Set();
+        const visited = new Set();
+
+        const visit = (state) => {
+            visiting.add(state);
+            for (const next of connections.get(state).successors) {
+                if (!useful.has(next) || visited.has(next)) continue;
+                if (visiting.has(next) || visit(next)) return true;
+            }
+            visiting.delete(state);
+            visited.add(state);
+            return false;
+        };
+
+        return [...useful].some(state => !visited.has(state) && visit(state));
+    }
+
+    acceptedWords(limit, useful = new Set(this.analyseStates().useful)) {
+        const symbols = [...this.inputSymbols()].sort();
+        const words = [];
+        let frontier = useful.has(this.initialState) ? [['', this.initialState]] : [];
+        let explored = 0;
+
+        while (frontier.length > 0 && words.length < limit && explored < ENUMERATION_LIMIT) {
+            for (const [word, state] of frontier) {
+                if (this.states.get(state).isFinal && words.length < limit) words.push(word);
+            }
+
+            explored += frontier.length;
+            frontier = frontier.flatMap(([word, state]) => symbols
+                .map(symbol => [word + symbol, this.nextState(state, symbol)])
+                .filter(([, next]) => next !== null && useful.has(next)));
+        }
+
+        return words;
+    }
+
+    wordCountsByLength(bound) {
+        const symbols = this.inputSymbols();
+        const counts = [];
+        let paths = new Map(this.initialState ? [[this.initialState, 1]] : []);
+
+        for (let length = 0; length <= bound; length++) {
+            counts.push([...paths].reduce((sum, [state, count]) => sum + (this.states.get(state).isFinal ? count : 0), 0));
+
+            const next = new Map();
+            for (const [state, count] of paths) {
+                for (const symbol of symbols) {
+                    const target = this.nextState(state, symbol);
+                    if (target !== null) next.set(target, (next.get(target) ?? 0) + count);
+                }
+            }
+            paths = next;
+        }
+
+        return counts;
+    }
+
+    analyseLanguage(wordLimit = 10, lengthBound = 8) {
+        const connections = this.stateConnections();
+        const useful = new Set(this.analyseStates(connections).useful);
+
+        let status = 'empty';
+        if (useful.size > 0) status = this.hasUsefulCycle(useful, connections) ? 'infinite' : 'finite';
+
+        return {
+            status,
+            words: this.acceptedWords(wordLimit, useful),
+            counts: this.wordCountsByLength(lengthBound),
+            rejected: this.initialState ? this.complement().acceptedWords(1)[0] ?? null : null
+        };
+    }
+
+    classifyStates() {
+        const { unreachable, dead } = this.analyseStates();
+        return new Map([
+            ...dead.map(name => [name, 'dead']),
+            ...unreachable.map(name => [name, 'unreachable'])
+        ]);
+    }
+
+    inputSymbols() {
+        if (this.alphabet.length > 0) return this.alphabet;
+
+        const symbols = new Set(this.transitions.map(t => t.symbol));
+        for (const loopSymbols of this.selfLoops.values()) {
+            loopSymbols.forEach(symbol => symbols.add(symbol));
+        }
+        return Array.from(symbols);
+    }
+
+    sortStates(states) {
+        const order = Array.from(this.states.keys());
+        return [...states].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    }
+
+    minimize(trace = null) {
+        const reachable = this.reachableStates();
+        const states = Array.from(this.states.keys()).filter(name => reachable.has(name));
+        const unreachable = Array.from(this.states.keys()).filter(name => !reachable.has(name));
+        const symbols = this.inputSymbols();
+
+        if (unreachable.length > 0) {
+            trace?.step(`Estados inalcançáveis a partir de ${this.initialState} são descartados: ${unreachable.join(', ')}.`);
+        }
+
+        let partition = [
+            states.filter(name => !this.states.get(name).isFinal),
+            states.filter(name => this.states.get(name).isFinal)
+        ].filter(block => block.length > 0);
+        const rounds = [partition];
+        trace?.step(`Π0 = ${formatPartition(partition)}: estados finais e não finais ficam em classes separadas.`);
+
+        while (true) {
+            const classOf = new Map();
+            partition.forEach((block, i) => block.forEach(name => classOf.set(name, i)));
+
+            const blocks = new Map();
+            for (const name of states) {
+                const signature = [classOf.get(name), ...symbols.map(symbol => {
+                    const next = this.nextState(name, symbol);
+                    return next === null ? -1 : classOf.get(next);
+                })].join(',');
+
+                if (!blocks.has(signature)) {
+                    blocks.set(signature, []);
+                }
+                blocks.get(signature).push(name);
+            }
+
+            const refined = Array.from(blocks.values());
+            if (refined.length === partition.length) {
+                trace?.step(`Nenhuma classe de Π${rounds.length - 1} foi dividida: a partição é estável e cada classe vira um estado.`);
+                break;
+            }
+
+            partition = refined;
+            rounds.push(partition);
+            trace?.step(`Π${rounds.length - 1} = ${formatPartition(partition)}: estados da mesma classe que levam a classes diferentes com algum símbolo são separados.`);
+        }
+
+        const blockName = (block) => block.length === 1 ? block[0] : `{${block.join(',')}}`;
+        const nameOf = new Map();
+        partition.forEach(block => block.forEach(name => nameOf.set(name, blockName(block))));
+
+        const afd = new AFD();
+        afd.alphabet = [...this.alphabet];
+
+        for (const block of partition) {
+            const name = blockName(block);
+            const isInitial = block.includes(this.initialState);
+            const isFinal = this.states.get(block[0]).isFinal;
+            afd.addState(name, isInitial, isFinal);
+
+            const roles = [isInitial && 'inicial', isFinal && 'final'].filter(Boolean);
+            trace?.step(`A classe {${block.join(', ')}} vira o estado ${name}${roles.length > 0 ? ` (${roles.join(' e ')})` : ''}.`, {
+                operations: [['addState', name, isInitial, isFinal]],
+                states: [name]
+            });
+        }
+
+        for (const block of partition) {
+            const from = nameOf.get(block[0]);
+            const operations = [];
+            for (const symbol of symbols) {
+                const next = this.nextState(block[0], symbol);
+                if (next !== null) {
+                    afd.addTransition(from, nameOf.get(next), symbol);
+                    operations.push(['addTransition', from, nameOf.get(next), symbol]);
+                }
+            }
+
+            trace?.step(operations.length > 0
+                ? `Transições de ${from}${block.length > 1 ? ` (pelo representante ${block[0]})` : ''}: ${operations.map(([, , to, symbol]) => `${symbol} → ${to}`).join(', ')}.`
+                : `${from} não tem transições.`, {
+                operations,
+                states: [from],
+                edges: [...new Set(operations.map(([, , to]) => edgeKey(from, to)))]
+            });
+        }
+
+        return { afd, rounds, classes: partition, classNames: partition.map(blockName), unreachable };
+    }
+
+    clone() {
+        const afd = new AFD();
+        afd.restore(this.snapshot());
+        return afd;
+    }
+
+    uniqueStateName(name) {
+        let candidate = name;
+        while (this.states.has(candidate)) candidate += "'";
+        return candidate;
+    }
+
+    complete(alphabet = this.inputSymbols()) {
+        const afd = this.clone();
+        afd.alphabet = [...new Set([...this.alphabet, ...alphabet])];
+
+        const missing = [];
+        for (const name of afd.states.keys()) {
+            for (const symbol of afd.alphabet) {
+                if (afd.nextState(name, symbol) === null) missing.push({ from: name, symbol });
+            }
+        }
+        if (missing.length === 0) return afd;
+
+        const trap = afd.uniqueStateName('erro');
+        const positions = Array.from(afd.states.values(), state => state.position);
+        afd.addState(trap);
+        afd.trapState = trap;
+        if (positions.length > 0) {
+            afd.states.get(trap).position.set(
+                positions.reduce((sum, p) => sum + p.x, 0) / positions.length,
+                Math.min(...positions.map(p => p.y)) - LAYER_SPACING
+            );
+        }
+        missing.forEach(({ from, symbol }) => afd.addTransition(from, trap, symbol));
+        afd.alphabet.forEach(symbol => afd.addTransition(trap, trap, symbol));
+
+        return afd;
+    }
+
+    complement(alphabet = this.inputSymbols()) {
+        const afd = this.complete(alphabet);
+        for (const state of afd.states.values()) {
+            state.isFinal = !state.isFinal;
+        }
+        return afd;
+    }
+
+    product(other, accepts) {
+        const alphabet = [...new Set([...this.inputSymbols(), ...other.inputSymbols()])];
+        const left = this.complete(alphabet);
+        const right = other.complete(alphabet);
+
+        const afd = new AFD();
+        afd.alphabet = alphabet;
+
+        const nameOf = (p, q) => `(${p},${q})`;
+        const isFinal = (p, q) => accepts(left.states.get(p).isFinal, right.states.get(q).isFinal);
+
+        const queue = [[left.initialState, right.initialState]];
+        afd.addState(nameOf(...queue[0]), true, isFinal(...queue[0]));
+
+        while (queue.length > 0) {
+            const [p, q] = queue.shift();
+            for (const symbol of alphabet) {
+                const next = [left.nextState(p, symbol), right.nextState(q, symbol)];
+                const name = nameOf(...next);
+                if (!afd.states.has(name)) {
+                    afd.addState(name, false, isFinal(...next));
+                    queue.push(next);
+                }
+                afd.addTransition(nameOf(p, q), name, symbol);
+            }
+        }
+
+        return afd;
+    }
+
+    distinguishingWord(other) {
+        const alphabet = [...new Set([...this.inputSymbols(), ...other.inputSymbols()])];
+        const left = this.complete(alphabet);
+        const right = other.complete(alphabet);
+
+        const start = [left.initialState, right.initialState];
+        const visited = new Set([start.join('\u0000')]);
+        const queue = [{ pair: start, word: '' }];
+
+        while (queue.length > 0) {
+            const { pair: [p, q], word } = queue.shift();
+            if (left.states.get(p).isFinal !== right.states.get(q).isFinal) {
+                return { word, acceptedBy: left.states.get(p).isFinal ? 'A' : 'B' };
+            }
+
+            for (const symbol of alphabet) {
+                const next = [left.nextState(p, symbol), right.nextState(q, symbol)];
+                const key = next.join('\u0000');
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    queue.push({ pair: next, word: word + symbol });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    renamed(prefix = 'q') {
+        const names = new Map(this.traversalOrder().map((name, i) => [name, `${prefix}${i}`]));
+        const afd = new AFD();
+        afd.alphabet = [...this.alphabet];
+
+        for (const [name, state] of this.states) {
+            afd.addState(names.get(name), state.isInitial, state.isFinal);
+        }
+        for (const { from, to, symbol } of this.toJSON().transitions) {
+            afd.addTransition(names.get(from), names.get(to), symbol);
+        }
+
+        return afd;
+    }
+
+    toRegex() {
+        if (!this.initialState) {
+            throw new Error('O autômato não tem estado inicial.');
+        }
+
+        const uniqueName = (name) => this.states.has(name) ? uniqueName(`${name}'`) : name;
+        const start = uniqueName('início');
+        const end = uniqueName('fim');
+
+        const edges = new Map();
+        const add = (from, to, regex) => {
+            const key = edgeKey(from, to);
+            edges.set(key, { from, to, regex: regexUnion(edges.get(key)?.regex ?? REGEX_EMPTY, regex) });
+        };
+        const get = (from, to) => edges.get(edgeKey(from, to))?.regex ?? REGEX_EMPTY;
+
+        for (const { from, to, symbol } of this.toJSON().transitions) {
+            add(from, to, symbol === EPSILON ? REGEX_EPSILON : regexSymbol(symbol));
+        }
+        add(start, this.initialState, REGEX_EPSILON);
+        for (const [name, state] of this.states) {
+            if (state.isFinal) add(name, end, REGEX_EPSILON);
+        }
+
+        const snapshot = () => Array.from(edges.values(), ({ from, to, regex }) => ({ from, to, regex: regexToString(regex) }));
+        const steps = [{ eliminated: null, edges: snapshot() }];
+        const remaining = Array.from(this.states.keys());
+
+        while (remaining.length > 0) {
+            const cost = (name) => {
+                const incoming = Array.from(edges.values()).filter(e => e.to === name && e.from !== name).length;
+                const outgoing = Array.from(edges.values()).filter(e => e.from === name && e.to !== name).length;
+                return incoming * outgoing;
+            };
+            const eliminated = remaining.reduce((best, name) => cost(name) < cost(best) ? name : best);
+            remaining.splice(remaining.indexOf(eliminated), 1);
+
+            const loop = regexStar(get(eliminated, eliminated));
+            const incoming = Array.from(edges.values()).filter(e => e.to === eliminated && e.from !== eliminated);
+            const outgoing = Array.from(edges.values()).filter(e => e.from === eliminated && e.to !== eliminated);
+
+            for (const { from, to } of Array.from(edges.values())) {
+                if (from === eliminated || to === eliminated) edges.delete(edgeKey(from, to));
+            }
+            for (const before of incoming) {
+                for (const after of outgoing) {
+                    add(before.from, after.to, regexConcat(regexConcat(before.regex, loop), after.regex));
+                }
+            }
+
+            steps.push({ eliminated, edges: snapshot() });
+        }
+
+        return { regex: regexToString(get(start, end)), steps, start, end };
+    }
+
+    toGrammar() {
+        if (!this.initialState) {
+            throw new Error('O autômato não tem estado inicial.');
+        }
+
+        const order = this.traversalOrder();
+        const keepNames = order.every(name => GRAMMAR_VARIABLE.test(name));
+        const names = new Map(keepNames
+            ? order.map(name => [name, name])
+            : order.map((name, i) => [name, i === 0 ? 'S' : GRAMMAR_VARIABLE_LETTERS[(i - 1) % 25] + (i > 25 ? Math.floor((i - 1) / 25) : '')]));
+
+        const invalid = this.inputSymbols().filter(symbol => symbol !== EPSILON
+            && (Array.from(symbol).length !== 1 || /[A-Z|\s]/.test(symbol) || normalizeSymbol(symbol) === EPSILON));
+        if (invalid.length > 0) {
+            throw new Error(`Símbolos que não podem ser terminais da gramática: ${invalid.join(', ')}`);
+        }
+
+        const productions = this.toJSON().transitions.map(({ from, to, symbol }) => ({
+            head: names.get(from),
+            terminals: symbol === EPSILON ? [] : [symbol],
+            variable: names.get(to)
+        }));
+        for (const name of order) {
+            if (this.states.get(name).isFinal) productions.push({ head: names.get(name), terminals: [], variable: null });
+        }
+
+        return {
+            grammar: { start: names.get(this.initialState), variables: [...names.values()], productions, linearity: 'right' },
+            names: keepNames ? null : names
+        };
+    }
+
+    layout(algorithm = 'radial', seed = null) {
+        const fixed = Array.from(this.states.keys()).filter(name => this.fixedPositions.has(name));
+
+        if (fixed.length < this.states.size) {
+            const random = seed === null ? Math.random : createRandom(seed);
+
+            if (algorithm === 'radial') {
+                this.radialLayout(random);
+            } else {
+                if (algorithm === 'layered') this.layeredLayout();
+                else if (algorithm === 'circular') this.circularLayout();
+                else if (algorithm === 'force') this.forceLayout(random);
+                else throw new Error(`Layout desconhecido: ${algorithm}`);
+
+                this.centerAllStates();
+            }
+
+            this.preventOverlap();
+        }
+
+        for (const name of fixed) {
+            this.states.get(name).position.copy(this.fixedPositions.get(name));
+        }
+        this.preventInitialStateOverlap();
+    }
+
+    traversalOrder() {
+        const order = Array.from(this.reachableStates());
+        for (const name of this.states.keys()) {
+            if (!order.includes(name)) order.push(name);
+        }
+        return order;
+    }
+
+    centerAllStates() {
+        if (this.states.size === 0) return;
+
+        const center = new Vector2();
+        for (const state of this.states.values()) {
+            center.add(state.position);
+        }
+        center.divideScalar(this.states.size);
+
+        for (const state of this.states.values()) {
+            state.position.sub(center);
+        }
+    }
+
+    layeredLayout() {
+        const order = this.traversalOrder();
+        const successors = new Map(order.map(name => [name, []]));
+        for (const { from, to } of this.edges()) {
+            successors.get(from).push(to);
+        }
+
+        const edges = [];
+        const edgeKeys = new Set();
+        const addEdge = (from, to) => {
+            const key = edgeKey(from, to);
+            if (!edgeKeys.has(key)) {
+                edgeKeys.add(key);
+                edges.push([from, to]);
+            }
+        };
+
+        const visited = new Set();
+        const onStack = new Set();
+        const visit = (name) => {
+            visited.add(name);
+            onStack.add(name);
+            for (const next of successors.get(name)) {
+                if (onStack.has(next)) {
+                    addEdge(next, name);
+                } else {
+                    addEdge(name, next);
+                    if (!visited.has(next)) visit(next);
+                }
+            }
+            onStack.delete(name);
+        };
+        order.forEach(name => visited.has(name) || visit(name));
+
+        const layerOf = new Map(order.map(name => [name, 0]));
+        const indegree = new Map(order.map(name => [name, 0]));
+        edges.forEach(([, to]) => indegree.set(to, indegree.get(to) + 1));
+
+        const queue = order.filter(name => indegree.get(name) === 0);
+        while (queue.length > 0) {
+            const name = queue.shift();
+            for (const [from, to] of edges) {
+                if (from !== name) continue;
+                layerOf.set(to, Math.max(layerOf.get(to), layerOf.get(name) + 1));
+                indegree.set(to, indegree.get(to) - 1);
+                if (indegree.get(to) === 0) queue.push(to);
+            }
+        }
+
+        const layers = Array.from({ length: Math.max(...layerOf.values()) + 1 }, () => []);
+        order.forEach(name => layers[layerOf.get(name)].push(name));
+
+        const down = new Map();
+        const up = new Map();
+        const link = (from, to) => {
+            if (!down.has(from)) down.set(from, []);
+            if (!up.has(to)) up.set(to, []);
+            down.get(from).push(to);
+            up.get(to).push(from);
+        };
+
+        for (const [from, to] of edges) {
+            let previous = from;
+            for (let layer = layerOf.get(from) + 1; layer < layerOf.get(to); layer++) {
+                const dummy = { dummy: true };
+                layers[layer].push(dummy);
+                link(previous, dummy);
+                previous = dummy;
+            }
+            link(previous, to);
+        }
+
+        const position = new Map();
+        const updatePositions = () => layers.forEach(layer => layer.forEach((node, i) => position.set(node, i)));
+
+        const sortLayer = (layer, neighbours) => {
+            const barycenter = new Map(layer.map(node => {
+                const adjacent = neighbours.get(node) ?? [];
+                return [node, adjacent.length > 0
+                    ? adjacent.reduce((sum, other) => sum + position.get(other), 0) / adjacent.length
+                    : position.get(node)];
+            }));
+            layer.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+            updatePositions();
+        };
+
+        const countCrossings = () => {
+            let crossings = 0;
+            for (const layer of layers) {
+                const links = layer.flatMap(node => (down.get(node) ?? []).map(other => [position.get(node), position.get(other)]));
+                for (let i = 0; i < links.length; i++) {
+                    for (let j = i + 1; j < links.length; j++) {
+                        if ((links[i][0] - links[j][0]) * (links[i][1] - links[j][1]) < 0) crossings++;
+                    }
+                }
+            }
+            return crossings;
+        };
+
+        updatePositions();
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = countCrossings();
+
+        for (let iteration = 0; iteration < 8 && bestCrossings > 0; iteration++) {
+            for (let i = 1; i < layers.length; i++) sortLayer(layers[i], up);
+            for (let i = layers.length - 2; i >= 0; i--) sortLayer(layers[i], down);
+
+            const crossings = countCrossings();
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => [...layer]);
+            }
+        }
+
+        best.forEach((layer, i) => layer.forEach((node, j) => {
+            if (typeof node === 'string') {
+                this.states.get(node).position.set(i * LAYER_SPACING, ((layer.length - 1) / 2 - j) * NODE_SPACING);
+            }
+        }));
+    }
+
+    circularLayout() {
+        const order = this.traversalOrder();
+        const radius = Math.max(NODE_SPACING * order.length / (2 * Math.PI), MIN_STATE_DISTANCE);
+
+        order.forEach((name, i) => {
+            const angle = Math.PI - (2 * Math.PI * i) / order.length;
+            this.states.get(name).position.set(radius * Math.cos(angle), radius * Math.sin(angle));
+        });
+    }
+
+    forceLayout(random) {
+        const names = this.traversalOrder();
+        const spread = NODE_SPACING * Math.sqrt(names.length);
+        const positions = names.map(() => new Vector2((random() - 0.5) * spread, (random() - 0.5) * spread));
+        const links = this.edges().map(({ from, to }) => [names.indexOf(from), names.indexOf(to)]);
+        let temperature = spread / 2;
+
+        for (let iteration = 0; iteration < 300; iteration++) {
+            const displacement = names.map(() => new Vector2());
+
+            for (let i = 0; i < names.length; i++) {
+                for (let j = i + 1; j < names.length; j++) {
+                    const delta = positions[i].clone().sub(positions[j]);
+                    if (delta.lengthSq() === 0) delta.set(random() - 0.5, random() - 0.5);
+                    const distance = delta.length();
+                    const force = delta.multiplyScalar(NODE_SPACING * NODE_SPACING / (distance * distance));
+                    displacement[i].add(force);
+                    displacement[j].sub(force);
+                }
+            }
+
+            for (const [a, b] of links) {
+                const delta = positions[a].clone().sub(positions[b]);
+                const force = delta.multiplyScalar(delta.length() / NODE_SPACING);
+                displacement[a].sub(force);
+                displacement[b].add(force);
+            }
+
+            positions.forEach((position, i) => {
+                displacement[i].sub(position.clone().multiplyScalar(0.05));
+                const length = displacement[i].length();
+                if (length > 0) position.add(displacement[i].multiplyScalar(Math.min(length, temperature) / length));
+            });
+
+            temperature = Math.max(temperature * 0.98, 1);
+        }
+
+        names.forEach((name, i) => this.states.get(name).position.copy(positions[i]));
+    }
+
+    radialLayout(random) {
+        const stateNames = Array.from(this.states.keys());
+
+        if (this.initialState) {
+            const initialStatePos = this.states.get(this.initialState).position;
+            initialStatePos.x = 0;
+            initialStatePos.y = 0;
+        }
+
+        const nonInitialStates = stateNames.filter(name => name !== this.initialState);
+        if (nonInitialStates.length <= 0) return;
+
+        const stateConnections = this.stateConnections();
+
+        const stateImportance = new Map();
+        for (const [state, connections] of stateConnections.entries()) {
+            stateImportance.set(state, connections.in + connections.out);
+        }
+
+        const directTransitionsFromInitial = new Set();
+        if (this.initialState) {
+            for (const transition of this.transitions) {
+                if (transition.from === this.initialState) {
+                    directTransitionsFromInitial.add(transition.to);
+                }
+            }
+        }
+
+        const radius = MIN_STATE_DISTANCE * 2;
+        const initialPos = this.initialState ? this.states.get(this.initialState).position.clone() : new Vector2(0, 0);
+
+        nonInitialStates.sort((a, b) => {
+            const aFromInitial = directTransitionsFromInitial.has(a) ? 1 : 0;
+            const bFromInitial = directTransitionsFromInitial.has(b) ? 1 : 0;
+            if (aFromInitial !== bFromInitial) return bFromInitial - aFromInitial;
+
+            const aFinal = this.states.get(a).isFinal ? 1 : 0;
+            const bFinal = this.states.get(b).isFinal ? 1 : 0;
+            if (aFinal !== bFinal) return aFinal - bFinal;
+
+            return stateImportance.get(b) - stateImportance.get(a);
+        });
+
+        const startAngle = -Math.PI * 0.75;
+        const endAngle = Math.PI * 0.75;
+        const totalAngle = endAngle - startAngle;
+
+        for (let i = 0; i < nonInitialStates.length; i++) {
+            const state = nonInitialStates[i];
+            const ratio = nonInitialStates.length > 1 ? i / (nonInitialStates.length - 1) : 0.5;
+            const angle = startAngle + ratio * totalAngle;
+
+            const radiusVariation = MIN_STATE_DISTANCE * 0.25 * (random() - 0.5);
+
+            this.states.get(state).position.set(
+                initialPos.x + (radius + radiusVariation) * Math.cos(angle),
+                initialPos.y + (radius + radiusVariation) * Math.sin(angle),
+            );
+        }
+    }
+
+    preventInitialStateOverlap() {
+        this.extraCurves.clear();
+        if (!this.initialState) return;
+
+        const initialStatePos = this.states.get(this.initialState).position;
+        const initialRadius = this.states.get(this.initialState).isFinal
+            ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+
+        for (const transition of this.transitions) {
+            if (transition.from === this.initialState || transition.to === this.initialState) {
+                continue;
+            }
+
+            const fromPos = this.states.get(transition.from).position;
+            const toPos = this.states.get(transition.to).position;
+
+            const direction = toPos.clone().sub(fromPos).normalize();
+            const lineLength = fromPos.distanceTo(toPos);
+            const t = Math.max(0, Math.min(1, initialStatePos.clone().sub(fromPos).dot(direction) / lineLength));
+            const projectionPoint = fromPos.clone().add(direction.clone().multiplyScalar(t * lineLength));
+            const distance = initialStatePos.distanceTo(projectionPoint);
+
+            if (distance < initialRadius * 1.5 && t > 0 && t < 1) {
+                const perpFactor = initialStatePos.y > projectionPoint.y ? 1 : -1;
+                this.extraCurves.set(edgeKey(transition.from, transition.to), perpFactor);
+            }
+        }
+    }
+
+    centerStatesVertically() {
+        let minY = Infinity;
+        let maxY = -Infinity;
+
+        for (const [name, state] of this.states) {
+            minY = Math.min(minY, state.position.y);
+            maxY = Math.max(maxY, state.position.y);
+        }
+
+        const centerY = (minY + maxY) / 2;
+        const offsetY = -centerY;
+
+        for (const [name, state] of this.states) {
+            state.position.y += offsetY;
+        }
+    }
+
+    preventOverlap() {
+        const stateNames = Array.from(this.states.keys());
+        let iterations = 0;
+        const maxIterations = 100;
+
+        let hasOverlap = true;
+        while (hasOverlap && iterations < maxIterations) {
+            hasOverlap = false;
+            iterations++;
+
+            for (let i = 0; i < stateNames.length; i++) {
+                const stateA = this.states.get(stateNames[i]);
+
+                for (let j = i + 1; j < stateNames.length; j++) {
+                    const stateB = this.states.get(stateNames[j]);
+
+                    const distance = stateA.position.distanceTo(stateB.position);
+                    const minDistance = MIN_STATE_DISTANCE;
+
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        const direction = new Vector2()
+                            .subVectors(stateB.position, stateA.position)
+                            .normalize();
+
+                        const moveDistance = (minDistance - distance) / 2;
+
+                        stateA.position.sub(direction.clone().multiplyScalar(moveDistance));
+                        stateB.position.add(direction.clone().multiplyScalar(moveDistance));
+                    }
+                }
+            }
+        }
+
+        this.centerStates();
+    }
+
+    centerStates() {
+        let centerX = 0;
+        let centerY = 0;
+        const stateEntries = Array.from(this.states.entries());
+
+        stateEntries.forEach(([name, state]) => {
+            centerX += state.position.x;
+            centerY += state.position.y;
+        });
+
+        centerX /= stateEntries.length;
+        centerY /= stateEntries.length;
+
+        const offsetX = -centerX;
+        const offsetY = -centerY;
+
+        stateEntries.forEach(([name, state]) => {
+            if (!state.isInitial) {
+                state.position.x += offsetX;
+                state.position.y += offsetY;
+            }
+        });
+    }
+
+    selfLoopLabel(symbols) {
+        return [...symbols].sort().join(',');
+    }
+
+    stateLabel(name) {
+        return name;
+    }
+
+    edges() {
+        const edges = new Map();
+        for (const { from, to, symbol } of this.transitions) {
+            const key = edgeKey(from, to);
+            if (!edges.has(key)) {
+                edges.set(key, { from, to, symbols: [] });
+            }
+            edges.get(key).symbols.push(symbol);
+        }
+        return Array.from(edges.values());
+    }
+
+    edgeLabel({ symbols }) {
+        return [...symbols].sort().join(',');
+    }
+}
+
+class AFN extends AFD {
+    constructor(type = 'AFN') {
+        super();
+        this.type = type;
+    }
+
+    epsilonClosure(states, edges = []) {
+        const closure = new Set(states);
+        const stack = [...closure];
+
+        while (stack.length > 0) {
+            const state = stack.pop();
+            for (const target of this.targets(state, EPSILON)) {
+                edges.push(edgeKey(state, target));
+                if (!closure.has(target)) {
+                    closure.add(target);
+                    stack.push(target);
+                }
+            }
+        }
+
+        return closure;
+    }
+
+    move(states, symbol, edges = []) {
+        const result = new Set();
+        for (const state of states) {
+            for (const target of this.targets(state, symbol)) {
+                edges.push(edgeKey(state, target));
+                result.add(target);
+            }
+        }
+        return result;
+    }
+
+    run(word) {
+        const symbols = Array.from(word);
+        const initialEdges = [];
+        let current = this.epsilonClosure([this.initialState], initialEdges);
+        const steps = [{ states: this.sortStates(current), symbol: null, edges: initialEdges }];
+
+        for (const symbol of symbols) {
+            const edges = [];
+            const next = this.epsilonClosure(this.move(current, symbol, edges), edges);
+            if (next.size === 0) break;
+            steps.push({ states: this.sortStates(next), symbol, edges });
+            current = next;
+        }
+
+        const consumed = steps.length - 1;
+        const accepted = consumed === symbols.length
+            && [...current].some(state => this.states.get(state).isFinal);
+        return { symbols, steps, consumed, accepted };
+    }
+
+    toAFD(trace = null) {
+        const afd = new AFD();
+        afd.alphabet = this.alphabet.filter(symbol => symbol !== EPSILON);
+
+        const nameOf = (subset) => `{${this.sortStates(subset).join(',')}}`;
+        const isFinal = (subset) => [...subset].some(state => this.states.get(state).isFinal);
+        const closure = this.type === 'AFN-ε' ? 'fecho-ε' : '';
+
+        const start = this.epsilonClosure([this.initialState]);
+        afd.addState(nameOf(start), true, isFinal(start));
+        const queue = [start];
+        trace?.step(`O estado inicial é ${closure ? `fecho-ε(${this.initialState}) = ` : ''}${nameOf(start)}${isFinal(start) ? ', final por conter um estado final' : ''}.`, {
+            operations: [['addState', nameOf(start), true, isFinal(start)]],
+            states: [nameOf(start)]
+        });
+
+        while (queue.length > 0) {
+            const subset = queue.shift();
+            const from = nameOf(subset);
+            trace?.step(`${from} sai da fila${queue.length > 0 ? `; restam ${queue.map(nameOf).join(' ')}` : ''}.`, { states: [from] });
+
+            for (const symbol of afd.alphabet) {
+                const target = this.epsilonClosure(this.move(subset, symbol));
+                const formula = closure ? `fecho-ε(mover(${from}, ${symbol}))` : `mover(${from}, ${symbol})`;
+                if (target.size === 0) {
+                    trace?.step(`${formula} = ∅: não há transição com '${symbol}'.`, { states: [from] });
+                    continue;
+                }
+
+                const to = nameOf(target);
+                const operations = [];
+                const isNew = !afd.states.has(to);
+                if (isNew) {
+                    afd.addState(to, false, isFinal(target));
+                    queue.push(target);
+                    operations.push(['addState', to, false, isFinal(target)]);
+                }
+                afd.addTransition(from, to, symbol);
+                operations.push(['addTransition', from, to, symbol]);
+
+                trace?.step(`${formula} = ${to}${isNew ? `: novo estado${isFinal(target) ? ' final' : ''}, entra na fila` : ', já existente'}.`, {
+                    operations,
+                    states: [to],
+                    edges: [edgeKey(from, to)]
+                });
+            }
+        }
+
+        trace?.step(`A fila está vazia: o AFD tem ${afd.states.size} estados.`);
+        return afd;
+    }
+}
+
+class Moore extends AFD {
+    constructor() {
+        super();
+        this.type = 'Moore';
+        this.outputs = new Map();
+    }
+
+    configure(data) {
+        this.outputs = new Map(Object.entries(data.outputs ?? {}).map(([name, output]) => [name, normalizeWord(output)]));
+    }
+
+    stateOutput(name) {
+        return this.outputs.get(name) ?? '';
+    }
+
+    acceptsByFinalState() {
+        return false;
+    }
+
+    removeState(name) {
+        super.removeState(name);
+        this.outputs.delete(name);
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), outputs: Array.from(this.outputs) };
+    }
+
+    restore(snapshot) {
+        super.restore(snapshot);
+        this.outputs = new Map(snapshot.outputs);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            outputs: Object.fromEntries(Array.from(this.states.keys(), name => [name, this.stateOutput(name)]))
+        };
+    }
+
+    stateLabel(name) {
+        return `${name}/${formatWord(this.stateOutput(name))}`;
+    }
+
+    run(word) {
+        const result = super.run(word);
+        let output = '';
+        for (const step of result.steps) {
+            output += this.stateOutput(step.states[0]);
+            step.output = output;
+        }
+        return { ...result, accepted: result.consumed === result.symbols.length, output };
+    }
+
+    toMealy() {
+        const mealy = new Mealy();
+        mealy.alphabet = [...this.alphabet];
+        for (const [name, state] of this.states) {
+            mealy.addState(name, state.isInitial, state.isFinal);
+        }
+        for (const { from, to, symbol } of this.transitions) {
+            mealy.addTransition(from, to, symbol, this.stateOutput(to));
+        }
+        for (const [name, symbols] of this.selfLoops) {
+            symbols.forEach(symbol => mealy.addTransition(name, name, symbol, this.stateOutput(name)));
+        }
+        return mealy;
+    }
+}
+
+const stackSymbols = (symbols) => symbols === EPSILON ? [] : Array.from(symbols);
+const formatStack = (stack) => stack.length > 0 ? stack.join('') : EPSILON;
+
+class RuleAutomaton extends AFD {
+    addRule(from, to, rule) {
+        if (from === to) {
+            if (!this.selfLoops.has(from)) {
+                this.selfLoops.set(from, []);
+            }
+            this.selfLoops.get(from).push(rule);
+        } else {
+            this.transitions.push({ from, to, ...rule });
+        }
+    }
+
+    rules() {
+        const rules = this.transitions.map(t => ({ ...t }));
+        for (const [state, loops] of this.selfLoops) {
+            loops.forEach(rule => rules.push({ from: state, to: state, ...rule }));
+        }
+        return rules;
+    }
+
+    checkRule(from, to, rule, pending = []) {
+        const label = this.ruleLabel(rule);
+        const exists = [...this.rules(), ...pending].some(r => r.from === from && r.to === to && this.ruleLabel(r) === label);
+        return exists ? `A transição ${from} → ${to} com '${label}' já existe.` : null;
+    }
+
+    registerRuleSymbols({ symbol }) {
+        if (symbol !== EPSILON && !this.alphabet.includes(symbol)) this.alphabet.push(symbol);
+    }
+
+    loopSymbols(state) {
+        return (this.selfLoops.get(state) ?? []).map(rule => rule.symbol);
+    }
+
+    inputSymbols() {
+        if (this.alphabet.length > 0) return this.alphabet;
+        return [...new Set(this.rules().map(rule => rule.symbol).filter(symbol => symbol !== EPSILON))];
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            transitions: this.rules().map(({ from, to, ...rule }) => ({ from, to, ...this.ruleToJSON(rule) }))
+        };
+    }
+
+    edgeLabel({ from, to }) {
+        return this.transitions
+            .filter(t => t.from === from && t.to === to)
+            .map(rule => this.ruleLabel(rule))
+            .sort()
+            .join('\n');
+    }
+
+    selfLoopLabel(rules) {
+        return rules.map(rule => this.ruleLabel(rule)).sort().join('\n');
+    }
+}
+
+class APD extends RuleAutomaton {
+    constructor() {
+        super();
+        this.type = 'APD';
+        this.stackAlphabet = [];
+        this.initialStackSymbol = 'Z';
+        this.acceptBy = 'finalState';
+        this.ruleFormat = 'a, Z / AZ';
+    }
+
+    configure(data) {
+        this.stackAlphabet = [...(data.stackAlphabet ?? [])];
+        this.initialStackSymbol = normalizeSymbol(data.initialStackSymbol ?? 'Z');
+        this.acceptBy = data.acceptBy ?? 'finalState';
+    }
+
+    ruleFromJSON({ symbol, pop, push }) {
+        return { symbol, pop: normalizeSymbol(pop), push: normalizeSymbol(push) };
+    }
+
+    ruleToJSON({ symbol, pop, push }) {
+        return { symbol, pop, push };
+    }
+
+    parseRule(text) {
+        const match = text.match(/^([^,]*),([^/]*)\/(.*)$/);
+        if (!match) return null;
+
+        const [symbol, pop, push] = match.slice(1).map(normalizeSymbol);
+        return { symbol, pop, push };
+    }
+
+    addTransition(from, to, symbol, pop = EPSILON, push = EPSILON) {
+        this.addRule(from, to, { symbol, pop, push });
+    }
+
+    fullStackAlphabet() {
+        return [...new Set([
+            ...this.stackAlphabet,
+            ...stackSymbols(this.initialStackSymbol),
+            ...this.rules().flatMap(rule => [...stackSymbols(rule.pop), ...stackSymbols(rule.push)])
+        ])];
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            stackAlphabet: this.fullStackAlphabet(),
+            initialStackSymbol: this.initialStackSymbol,
+            acceptBy: this.acceptBy
+        };
+    }
+
+    ruleLabel({ symbol, pop, push }) {
+        return `${symbol}, ${pop} / ${push}`;
+    }
+
+    acceptsByFinalState() {
+        return this.acceptBy !== 'emptyStack';
+    }
+
+    isAccepting(configuration) {
+        return this.acceptBy === 'emptyStack'
+            ? configuration.stack.length === 0
+            : this.states.get(configuration.state).isFinal;
+    }
+
+    apply(configuration, rule) {
+        return {
+            state: rule.to,
+            stack: [...stackSymbols(rule.push), ...configuration.stack.slice(stackSymbols(rule.pop).length)],
+            previousStack: configuration.stack
+        };
+    }
+
+    applicableRules(configuration, symbol) {
+        return this.rules().filter(rule => rule.from === configuration.state && rule.symbol === symbol
+            && stackSymbols(rule.pop).every((top, i) => configuration.stack[i] === top));
+    }
+
+    move(configurations, symbol, edges = []) {
+        return configurations.flatMap(configuration => this.applicableRules(configuration, symbol).map(rule => {
+            edges.push(edgeKey(rule.from, rule.to));
+            return this.apply(configuration, rule);
+        }));
+    }
+
+    epsilonClosure(configurations, edges = []) {
+        const closure = [];
+        const seen = new Set();
+        const queue = [...configurations];
+
+        while (queue.length > 0 && closure.length < PDA_CONFIGURATION_LIMIT) {
+            const configuration = queue.shift();
+            const key = `${configuration.state}\u0000${configuration.stack.join('')}`;
+            if (seen.has(key) || configuration.stack.length > PDA_STACK_LIMIT) continue;
+
+            seen.add(key);
+            closure.push(configuration);
+            queue.push(...this.move([configuration], EPSILON, edges));
+        }
+
+        return closure;
+    }
+
+    run(word) {
+        const symbols = Array.from(word);
+        const initialEdges = [];
+        const stack = this.initialStackSymbol === EPSILON ? [] : [this.initialStackSymbol];
+        let current = this.epsilonClosure([{ state: this.initialState, stack, previousStack: [] }], initialEdges);
+
+        const step = (configurations, symbol, edges) => ({
+            states: this.sortStates(new Set(configurations.map(c => c.state))),
+            symbol,
+            edges,
+            configurations
+        });
+        const steps = [step(current, null, initialEdges)];
+
+        for (const symbol of symbols) {
+            const edges = [];
+            const next = this.epsilonClosure(this.move(current, symbol, edges), edges);
+            if (next.length === 0) break;
+            steps.push(step(next, symbol, edges));
+            current = next;
+        }
+
+        const consumed = steps.length - 1;
+        const accepted = consumed === symbols.length && current.some(c => this.isAccepting(c));
+        return { symbols, steps, consumed, accepted };
+    }
+}
+
+const TAPE_MOVES = { L: -1, R: 1, S: 0 };
+
+class MT extends RuleAutomaton {
+    constructor() {
+        super();
+        this.type = 'MT';
+        this.blank = BLANK;
+        this.tapeAlphabet = [];
+        this.tape = '';
+        this.stepLimit = DEFAULT_STEP_LIMIT;
+        this.ruleFormat = `a → b, R`;
+    }
+
+    configure(data) {
+        this.blank = data.blank ?? BLANK;
+        this.tapeAlphabet = [...(data.tapeAlphabet ?? [])];
+        this.tape = data.tape ?? '';
+        this.stepLimit = data.stepLimit ?? DEFAULT_STEP_LIMIT;
+    }
+
+    ruleFromJSON({ symbol, write, move }) {
+        return { symbol, write, move };
+    }
+
+    ruleToJSON({ symbol, write, move }) {
+        return { symbol, write, move };
+    }
+
+    parseRule(text) {
+        const match = text.match(/^(.+?)(?:→|->)(.+?),\s*([LRS])\s*$/i);
+        if (!match) return null;
+
+        const [symbol, write] = [match[1].trim(), match[2].trim()];
+        if (Array.from(symbol).length !== 1 || Array.from(write).length !== 1) return null;
+        return { symbol, write, move: match[3].toUpperCase() };
+    }
+
+    addTransition(from, to, symbol, write = symbol, move = 'S') {
+        this.addRule(from, to, { symbol, write, move });
+    }
+
+    checkRule(from, to, rule, pending = []) {
+        const existing = [...this.rules(), ...pending].find(r => r.from === from && r.symbol === rule.symbol);
+        return existing
+            ? `Não determinismo: ${from} já tem uma transição lendo '${rule.symbol}'.`
+            : null;
+    }
+
+    registerRuleSymbols() {
+    }
+
+    fullTapeAlphabet() {
+        return [...new Set([
+            ...this.tapeAlphabet,
+            ...this.alphabet,
+            this.blank,
+            ...this.rules().flatMap(rule => [rule.symbol, rule.write])
+        ])];
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            tapeAlphabet: this.fullTapeAlphabet(),
+            blank: this.blank,
+            tape: this.tape,
+            stepLimit: this.stepLimit
+        };
+    }
+
+    ruleLabel({ symbol, write, move }) {
+        return `${symbol} → ${write}, ${move}`;
+    }
+
+    run(word) {
+        const symbols = Array.from(word);
+        const table = new Map(this.rules().map(rule => [`${rule.from}\u0000${rule.symbol}`, rule]));
+        const tape = new Map(symbols.map((symbol, i) => [i, symbol]));
+        let state = this.initialState;
+        let head = 0;
+
+        const steps = [{ states: [state], symbol: null, edges: [], tape: new Map(tape), head }];
+        let halt = null;
+
+        while (halt === null) {
+            const read = tape.get(head) ?? this.blank;
+            const rule = table.get(`${state}\u0000${read}`);
+
+            if (this.states.get(state).isFinal) {
+                halt = 'accept';
+            } else if (!rule) {
+                halt = 'reject';
+            } else if (steps.length > this.stepLimit) {
+                halt = 'limit';
+            } else {
+                if (rule.write === this.blank) tape.delete(head);
+                else tape.set(head, rule.write);
+                head += TAPE_MOVES[rule.move];
+                state = rule.to;
+                steps.push({ states: [state], symbol: read, edges: [edgeKey(rule.from, rule.to)], tape: new Map(tape), head });
+            }
+        }
+
+        return { symbols, steps, consumed: symbols.length, accepted: halt === 'accept', halt };
+    }
+}
+
+class Mealy extends RuleAutomaton {
+    constructor() {
+        super();
+        this.type = 'Mealy';
+        this.ruleFormat = 'a/1';
+    }
+
+    acceptsByFinalState() {
+        return false;
+    }
+
+    ruleFromJSON({ symbol, output }) {
+        return { symbol, output: normalizeWord(output) };
+    }
+
+    ruleToJSON({ symbol, output }) {
+        return { symbol, output };
+    }
+
+    parseRule(text) {
+        const match = text.match(/^([^/]+)\/(.*)$/);
+        if (!match) return null;
+
+        const symbol = normalizeSymbol(match[1]);
+        if (symbol === EPSILON || Array.from(symbol).length !== 1) return null;
+        return { symbol, output: normalizeWord(match[2]) };
+    }
+
+    addTransition(from, to, symbol, output = '') {
+        this.addRule(from, to, { symbol, output });
+    }
+
+    checkRule(from, to, rule, pending = []) {
+        const existing = [...this.rules(), ...pending].find(r => r.from === from && r.symbol === rule.symbol);
+        return existing
+            ? `Não determinismo: ${from} já tem uma transição lendo '${rule.symbol}'.`
+            : null;
+    }
+
+    ruleLabel({ symbol, output }) {
+        return `${symbol}/${formatWord(output)}`;
+    }
+
+    run(word) {
+        const symbols = Array.from(word);
+        const table = new Map(this.rules().map(rule => [`${rule.from}\u0000${rule.symbol}`, rule]));
+        let state = this.initialState;
+        let output = '';
+
+        const steps = [{ states: [state], symbol: null, edges: [], output }];
+        for (const symbol of symbols) {
+            const rule = table.get(`${state}\u0000${symbol}`);
+            if (!rule) break;
+            output += rule.output;
+            state = rule.to;
+            steps.push({ states: [state], symbol, edges: [edgeKey(rule.from, rule.to)], output });
+        }
+
+        const consumed = steps.length - 1;
+        return { symbols, steps, consumed, accepted: consumed === symbols.length, output };
+    }
+
+    toMoore() {
+        const moore = new Moore();
+        moore.alphabet = [...this.inputSymbols()];
+        if (!this.initialState) return moore;
+
+        const rules = this.rules();
+        const start = `${this.initialState}\u0000`;
+        const variants = new Map([[start, { state: this.initialState, output: '' }]]);
+        const queue = [start];
+        const transitions = [];
+
+        while (queue.length > 0) {
+            const key = queue.shift();
+            for (const rule of rules.filter(r => r.from === variants.get(key).state)) {
+                const target = `${rule.to}\u0000${rule.output}`;
+                if (!variants.has(target)) {
+                    variants.set(target, { state: rule.to, output: rule.output });
+                    queue.push(target);
+                }
+                transitions.push([key, target, rule.symbol]);
+            }
+        }
+
+        const counts = new Map();
+        for (const { state } of variants.values()) counts.set(state, (counts.get(state) ?? 0) + 1);
+        const name = (key) => {
+            const { state, output } = variants.get(key);
+            return counts.get(state) === 1 ? state : `${state}_${formatWord(output)}`;
+        };
+
+        for (const [key, { state, output }] of variants) {
+            moore.addState(name(key), key === start, this.states.get(state).isFinal);
+            moore.outputs.set(name(key), output);
+        }
+        transitions.forEach(([from, to, symbol]) => moore.addTransition(name(from), name(to), symbol));
+        return moore;
+    }
+}
+
+const REGEX_EMPTY = { type: 'empty' };
+const REGEX_EPSILON = { type: 'epsilon' };
+const REGEX_OPERATORS = '|*+?()\\ε∅';
+
+const regexSymbol = (value) => ({ type: 'symbol', value });
+
+function regexAlternatives(node) {
+    return node.type === 'union' ? [...regexAlternatives(node.left), ...regexAlternatives(node.right)] : [node];
+}
+
+function regexUnion(left, right) {
+    const alternatives = [];
+    const seen = new Set();
+    for (const node of [...regexAlternatives(left), ...regexAlternatives(right)]) {
+        const key = regexToString(node);
+        if (node.type === 'empty' || seen.has(key)) continue;
+        seen.add(key);
+        alternatives.push(node);
+    }
+
+    const nullable = alternatives.some(node => node.type === 'star' || node.type === 'optional');
+    const filtered = nullable ? alternatives.filter(node => node.type !== 'epsilon') : alternatives;
+
+    if (filtered.length === 0) return REGEX_EMPTY;
+    return filtered.reduce((result, node) => ({ type: 'union', left: result, right: node }));
+}
+
+function regexConcat(left, right) {
+    if (left.type === 'empty' || right.type === 'empty') return REGEX_EMPTY;
+    if (left.type === 'epsilon') return right;
+    if (right.type === 'epsilon') return left;
+    return { type: 'concat', left, right };
+}
+
+function regexStar(child) {
+    if (child.type === 'empty' || child.type === 'epsilon') return REGEX_EPSILON;
+    if (child.type === 'star') return child;
+    if (child.type === 'plus' || child.type === 'optional') return regexStar(child.child);
+    return { type: 'star', child };
+}
+
+function regexToString(node, precedence = 0) {
+    const wrap = (text, own) => own < precedence ? `(${text})` : text;
+
+    switch (node.type) {
+        case 'empty': return '∅';
+        case 'epsilon': return 'ε';
+        case 'symbol': return REGEX_OPERATORS.includes(node.value) ? `\\${node.value}` : node.value;
+        case 'union': return wrap(`${regexToString(node.left, 0)}|${regexToString(node.right, 0)}`, 0);
+        case 'concat': return wrap(`${regexToString(node.left, 1)}${regexToString(node.right, 1)}`, 1);
+        case 'star': return `${regexToString(node.child, 2)}*`;
+        case 'plus': return `${regexToString(node.child, 2)}+`;
+        case 'optional': return `${regexToString(node.child, 2)}?`;
+    }
+}
+
+function parseRegex(text) {
+    const chars = Array.from(text).filter(char => !/\s/.test(char));
+    let position = 0;
+
+    const fail = (message) => {
+        throw new Error(`Expressão regular: ${message} na posição ${position + 1}.`);
+    };
+
+    const parseUnion = () => {
+        let node = parseConcat();
+        while (chars[position] === '|') {
+            position++;
+            node = { type: 'union', left: node, right: parseConcat() };
+        }
+        return node;
+    };
+
+    const parseConcat = () => {
+        let node = null;
+        while (position < chars.length && chars[position] !== '|' && chars[position] !== ')') {
+            const next = parseRepeat();
+            node = node ? { type: 'concat', left: node, right: next } : next;
+        }
+        return node ?? REGEX_EPSILON;
+    };
+
+    const parseRepeat = () => {
+        let node = parseAtom();
+        while ('*+?'.includes(chars[position]) && position < chars.length) {
+            const type = { '*': 'star', '+': 'plus', '?': 'optional' }[chars[position++]];
+            node = { type, child: node };
+        }
+        return node;
+    };
+
+    const parseAtom = () => {
+        const char = chars[position];
+        if (char === '(') {
+            position++;
+            const node = parseUnion();
+            if (chars[position] !== ')') fail("')' esperado");
+            position++;
+            return node;
+        }
+        if ('*+?'.includes(char)) fail(`operador '${char}' sem operando`);
+        position++;
+        if (char === 'ε') return REGEX_EPSILON;
+        if (char === '∅') return REGEX_EMPTY;
+        if (char === '\\') {
+            if (position >= chars.length) fail('escape incompleto');
+            return regexSymbol(chars[position++]);
+        }
+        return regexSymbol(char);
+    };
+
+    const node = parseUnion();
+    if (position < chars.length) fail(`'${chars[position]}' inesperado`);
+    return node;
+}
+
+function regexSymbols(node, symbols = new Set()) {
+    if (node.type === 'symbol') symbols.add(node.value);
+    if (node.left) regexSymbols(node.left, symbols);
+    if (node.right) regexSymbols(node.right, symbols);
+    if (node.child) regexSymbols(node.child, symbols);
+    return symbols;
+}
+
+function thompson(node) {
+    const afn = new AFN('AFN-ε');
+    afn.alphabet = Array.from(regexSymbols(node));
+
+    const newState = () => {
+        const name = `q${afn.states.size}`;
+        afn.addState(name);
+        return name;
+    };
+
+    const build = (node) => {
+        if (node.type === 'concat') {
+            const left = build(node.left);
+            const right = build(node.right);
+            afn.addTransition(left.end, right.start, EPSILON);
+            return { start: left.start, end: right.end };
+        }
+
+        const start = newState();
+
+        if (node.type === 'symbol' || node.type === 'epsilon' || node.type === 'empty') {
+            const end = newState();
+            if (node.type !== 'empty') {
+                afn.addTransition(start, end, node.type === 'symbol' ? node.value : EPSILON);
+            }
+            return { start, end };
+        }
+
+        if (node.type === 'union') {
+            const left = build(node.left);
+            const right = build(node.right);
+            const end = newState();
+            afn.addTransition(start, left.start, EPSILON);
+            afn.addTransition(start, right.start, EPSILON);
+            afn.addTransition(left.end, end, EPSILON);
+            afn.addTransition(right.end, end, EPSILON);
+            return { start, end };
+        }
+
+        const inner = build(node.child);
+        const end = newState();
+        afn.addTransition(start, inner.start, EPSILON);
+        afn.addTransition(inner.end, end, EPSILON);
+        if (node.type !== 'plus') afn.addTransition(start, end, EPSILON);
+        if (node.type !== 'optional') afn.addTransition(inner.end, inner.start, EPSILON);
+        return { start, end };
+    };
+
+    const { start, end } = build(node);
+    afn.setInitial(start);
+    afn.toggleFinal(end);
+    return afn;
+}
+
+function regexToAFD(text) {
+    const enfa = thompson(parseRegex(text));
+    const afd = enfa.toAFD().minimize().afd.renamed();
+    return { enfa, afd };
+}
+
+const GRAMMAR_ARROW = /→|->|::=/;
+const GRAMMAR_VARIABLE = /^[A-Z][0-9']*$/;
+const GRAMMAR_VARIABLE_LETTERS = 'ABCDEFGHIJKLMNOPQRTUVWXYZ';
+const GRAMMAR_EMPTY = '∅';
+
+function tokenizeProduction(text, fail) {
+    const chars = Array.from(text).filter(char => !/\s/.test(char));
+    const tokens = [];
+
+    for (let i = 0; i < chars.length; i++) {
+        if (/[A-Z]/.test(chars[i])) {
+            let name = chars[i];
+            while (i + 1 < chars.length && /[0-9']/.test(chars[i + 1])) name += chars[++i];
+            tokens.push({ variable: name });
+        } else if (normalizeSymbol(chars[i]) !== EPSILON) {
+            tokens.push({ terminal: chars[i] });
+        } else if (chars.length > 1) {
+            fail(`'${chars[i]}' só pode aparecer sozinho em uma alternativa`);
+        }
+    }
+
+    return tokens;
+}
+
+function parseGrammar(text) {
+    const variables = [];
+    const productions = [];
+    const declare = (name) => variables.includes(name) || variables.push(name);
+    const sides = new Set();
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        const fail = (message) => {
+            throw new Error(`Gramática: ${message} na linha ${i + 1}.`);
+        };
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+        const parts = line.split(GRAMMAR_ARROW);
+        if (parts.length !== 2) fail('use o formato "S → aA | b"');
+
+        const head = parts[0].trim();
+        if (!GRAMMAR_VARIABLE.test(head)) fail(`o lado esquerdo "${head}" não é uma variável (letra maiúscula)`);
+        declare(head);
+
+        for (const alternative of parts[1].split('|')) {
+            if (alternative.trim() === GRAMMAR_EMPTY) continue;
+
+            const tokens = tokenizeProduction(alternative, fail);
+            const positions = tokens.flatMap((token, j) => token.variable ? [j] : []);
+            if (positions.length > 1) fail(`"${alternative.trim()}" tem mais de uma variável`);
+
+            const [position] = positions;
+            if (position !== undefined && tokens.length > 1) {
+                if (position === tokens.length - 1) sides.add('right');
+                else if (position === 0) sides.add('left');
+                else fail(`a variável em "${alternative.trim()}" deve ficar no início ou no fim`);
+            }
+            if (sides.size > 1) fail('há produções lineares à direita e à esquerda misturadas');
+
+            const variable = position === undefined ? null : tokens[position].variable;
+            if (variable) declare(variable);
+            productions.push({ head, terminals: tokens.filter(token => token.terminal).map(token => token.terminal), variable });
+        }
+    });
+
+    if (variables.length === 0) throw new Error('Gramática: nenhuma produção encontrada.');
+    return { start: variables[0], variables, productions, linearity: sides.has('left') ? 'left' : 'right' };
+}
+
+function grammarToAutomaton({ start, variables, productions, linearity }) {
+    const states = [...variables];
+    const transitions = [];
+    const fresh = (name) => {
+        let candidate = name;
+        while (states.includes(candidate)) candidate += "'";
+        states.push(candidate);
+        return candidate;
+    };
+    const chain = (from, symbols, to) => {
+        if (symbols.length === 0) {
+            transitions.push({ from, to, symbol: EPSILON });
+            return;
+        }
+
+        let current = from;
+        symbols.forEach((symbol, i) => {
+            const next = i === symbols.length - 1 ? to : fresh(`${from}${i + 1}`);
+            transitions.push({ from: current, to: next, symbol });
+            current = next;
+        });
+    };
+
+    let startState = start;
+    const finalStates = [];
+    if (linearity === 'right') {
+        let final = null;
+        for (const { head, terminals, variable } of productions) {
+            if (variable) {
+                chain(head, terminals, variable);
+            } else if (terminals.length === 0) {
+                if (!finalStates.includes(head)) finalStates.push(head);
+            } else {
+                final ??= fresh('F');
+                chain(head, terminals, final);
+            }
+        }
+        if (final) finalStates.push(final);
+    } else {
+        startState = fresh('I');
+        states.unshift(states.pop());
+        finalStates.push(start);
+        for (const { head, terminals, variable } of productions) {
+            chain(variable ?? startState, terminals, head);
+        }
+    }
+
+    const nondeterministic = transitions.some((t, i) => transitions.findIndex(u => u.from === t.from && u.symbol === t.symbol) !== i);
+    const type = transitions.some(t => t.symbol === EPSILON) ? 'AFN-ε' : nondeterministic ? 'AFN' : 'AFD';
+    const alphabet = [...new Set(transitions.map(t => t.symbol).filter(symbol => symbol !== EPSILON))].sort();
+
+    return createAutomaton({ type, states, alphabet, transitions, startState, finalStates });
+}
+
+function formatGrammar({ start, variables, productions }, names = null) {
+    const lines = names
+        ? [`# ${Array.from(names, ([state, variable]) => `${variable} = ${state}`).join(', ')}`]
+        : [];
+
+    for (const head of [start, ...variables.filter(variable => variable !== start)]) {
+        const alternatives = productions
+            .filter(production => production.head === head)
+            .map(({ terminals, variable }) => terminals.join('') + (variable ?? '') || EPSILON);
+        if (alternatives.length > 0) lines.push(`${head} → ${alternatives.join(' | ')}`);
+        else if (head === start) lines.push(`${head} → ${GRAMMAR_EMPTY}`);
+    }
+
+    return lines.join('\n');
+}
+
+function expandTransitions(transitions) {
+    return transitions.flatMap(t => (Array.isArray(t.to) ? t.to : [t.to]).map(to => ({
+        ...t,
+        to,
+        symbol: t.symbol === '' ? EPSILON : t.symbol
+    })));
+}
+
+function validateAutomaton(data) {
+    const errors = [];
+    const error = (message, entries = []) => errors.push({ message, entries });
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        error('O arquivo deve conter um objeto JSON com a definição do autômato.');
+        return errors;
+    }
+
+    for (const field of ['states', 'alphabet', 'transitions', 'finalStates']) {
+        if (!Array.isArray(data[field])) {
+            error(`O campo "${field}" está ausente ou não é uma lista.`);
+        }
+    }
+    if (data.startState === undefined) {
+        error('O campo "startState" está ausente.');
+    }
+
+    const type = data.type ?? 'AFD';
+    if (!AUTOMATON_TYPES.includes(type)) {
+        error(`Tipo de autômato desconhecido, use ${AUTOMATON_TYPES.join(', ')}:`, [String(data.type)]);
+    }
+    if (errors.length > 0) return errors;
+
+    const findDuplicates = (list) => list.filter((item, i) => list.indexOf(item) !== i);
+
+    const states = new Set(data.states);
+    const alphabet = new Set(data.alphabet);
+
+    const duplicateStates = findDuplicates(data.states);
+    if (duplicateStates.length > 0) {
+        error('Estados declarados mais de uma vez:', duplicateStates);
+    }
+
+    const duplicateSymbols = findDuplicates(data.alphabet);
+    if (duplicateSymbols.length > 0) {
+        error('Símbolos declarados mais de uma vez no alfabeto:', duplicateSymbols);
+    }
+
+    if (!states.has(data.startState)) {
+        error('O estado inicial não foi declarado em "states":', [data.startState]);
+    }
+
+    const undeclaredFinals = data.finalStates.filter(s => !states.has(s));
+    if (undeclaredFinals.length > 0) {
+        error('Estados finais não declarados em "states":', undeclaredFinals);
+    }
+
+    const malformed = data.transitions.filter(t => typeof t !== 'object' || t === null
+        || t.from === undefined || t.to === undefined || t.symbol === undefined
+        || (Array.isArray(t.to) && t.to.length === 0));
+    if (malformed.length > 0) {
+        error('Transições sem "from", "to" ou "symbol":', malformed.map(t => JSON.stringify(t)));
+    }
+
+    const transitions = expandTransitions(data.transitions.filter(t => !malformed.includes(t)));
+
+    const undeclaredTargets = transitions.filter(t => !states.has(t.from) || !states.has(t.to));
+    if (undeclaredTargets.length > 0) {
+        error('Transições com estados não declarados:', undeclaredTargets.map(t => JSON.stringify(t)));
+    }
+
+    const epsilonTransitions = transitions.filter(t => t.symbol === EPSILON && !alphabet.has(EPSILON));
+    if (epsilonTransitions.length > 0 && type !== 'AFN-ε' && type !== 'APD') {
+        error('Transições ε só são permitidas em autômatos do tipo "AFN-ε" ou "APD":', epsilonTransitions.map(t => JSON.stringify(t)));
+    }
+
+    const readable = type === 'MT'
+        ? new Set([...alphabet, ...(Array.isArray(data.tapeAlphabet) ? data.tapeAlphabet : []), data.blank ?? BLANK])
+        : alphabet;
+    const unknownSymbols = transitions.filter(t => t.symbol !== EPSILON && !readable.has(t.symbol));
+    if (unknownSymbols.length > 0) {
+        error('Transições com símbolos fora do alfabeto:', unknownSymbols.map(t => JSON.stringify(t)));
+    }
+
+    if (type === 'APD') {
+        const stackFields = transitions.filter(t => typeof t.pop !== 'string' || typeof t.push !== 'string');
+        if (stackFields.length > 0) {
+            error('Transições de APD sem "pop" ou "push" (use "" ou "ε" para não alterar a pilha):', stackFields.map(t => JSON.stringify(t)));
+        }
+
+        if (data.acceptBy !== undefined && !ACCEPTANCE_MODES.includes(data.acceptBy)) {
+            error(`Modo de aceitação desconhecido, use ${ACCEPTANCE_MODES.join(' ou ')}:`, [String(data.acceptBy)]);
+        }
+
+        if (data.initialStackSymbol !== undefined && typeof data.initialStackSymbol !== 'string') {
+            error('O campo "initialStackSymbol" deve ser um texto.');
+        }
+
+        if (data.stackAlphabet !== undefined) {
+            if (!Array.isArray(data.stackAlphabet)) {
+                error('O campo "stackAlphabet" não é uma lista.');
+            } else {
+                const stackAlphabet = new Set(data.stackAlphabet);
+                const initialStackSymbol = data.initialStackSymbol ?? 'Z';
+                const used = [
+                    ...(typeof initialStackSymbol === 'string' ? stackSymbols(normalizeSymbol(initialStackSymbol)) : []),
+                    ...transitions.filter(t => !stackFields.includes(t))
+                        .flatMap(t => [...stackSymbols(normalizeSymbol(t.pop)), ...stackSymbols(normalizeSymbol(t.push))])
+                ];
+                const unknownStackSymbols = [...new Set(used.filter(symbol => !stackAlphabet.has(symbol)))];
+                if (unknownStackSymbols.length > 0) {
+                    error('Símbolos de pilha fora de "stackAlphabet":', unknownStackSymbols);
+                }
+            }
+        }
+    }
+
+    if (type === 'MT') {
+        const invalidRules = transitions.filter(t => typeof t.write !== 'string' || Array.from(t.write).length !== 1
+            || !(t.move in TAPE_MOVES));
+        if (invalidRules.length > 0) {
+            error('Transições de MT precisam de "write" (um símbolo) e "move" ("L", "R" ou "S"):', invalidRules.map(t => JSON.stringify(t)));
+        }
+
+        const unknownWrites = transitions.filter(t => typeof t.write === 'string' && !readable.has(t.write));
+        if (unknownWrites.length > 0) {
+            error('Transições que escrevem símbolos fora do alfabeto da fita:', unknownWrites.map(t => JSON.stringify(t)));
+        }
+
+        if (data.blank !== undefined && (typeof data.blank !== 'string' || Array.from(data.blank).length !== 1)) {
+            error('O campo "blank" deve ser um único símbolo.');
+        }
+
+        if (data.tape !== undefined) {
+            const unknownTape = typeof data.tape === 'string' ? Array.from(data.tape).filter(symbol => !readable.has(symbol)) : [];
+            if (typeof data.tape !== 'string') {
+                error('O campo "tape" deve ser um texto com o conteúdo inicial da fita.');
+            } else if (unknownTape.length > 0) {
+                error('Símbolos da fita inicial fora do alfabeto:', [...new Set(unknownTape)]);
+            }
+        }
+
+        if (data.stepLimit !== undefined && !(Number.isInteger(data.stepLimit) && data.stepLimit > 0)) {
+            error('O campo "stepLimit" deve ser um inteiro positivo.');
+        }
+    }
+
+    if (type === 'Mealy') {
+        const invalidOutputs = transitions.filter(t => typeof t.output !== 'string');
+        if (invalidOutputs.length > 0) {
+            error('Transições de Mealy sem "output" (use "" ou "ε" para saída vazia):', invalidOutputs.map(t => JSON.stringify(t)));
+        }
+    }
+
+    if (type === 'Moore') {
+        if (typeof data.outputs !== 'object' || data.outputs === null || Array.isArray(data.outputs)) {
+            error('O campo "outputs" deve ser um objeto com a saída de cada estado.');
+        } else {
+            const outputs = Object.entries(data.outputs);
+
+            const undeclaredOutputs = outputs.filter(([name]) => !states.has(name));
+            if (undeclaredOutputs.length > 0) {
+                error('Saídas de estados não declarados em "states":', undeclaredOutputs.map(([name]) => name));
+            }
+
+            const invalidOutputs = outputs.filter(([, output]) => typeof output !== 'string');
+            if (invalidOutputs.length > 0) {
+                error('Saídas de estado que não são texto:', invalidOutputs.map(([name, output]) => `${name}: ${JSON.stringify(output)}`));
+            }
+        }
+    }
+
+    if (data.positions !== undefined) {
+        if (typeof data.positions !== 'object' || data.positions === null || Array.isArray(data.positions)) {
+            error('O campo "positions" deve ser um objeto com as coordenadas de cada estado.');
+        } else {
+            const positions = Object.entries(data.positions);
+
+            const undeclaredPositions = positions.filter(([name]) => !states.has(name));
+            if (undeclaredPositions.length > 0) {
+                error('Posições de estados não declarados em "states":', undeclaredPositions.map(([name]) => name));
+            }
+
+            const invalidPositions = positions.filter(([, p]) => !Number.isFinite(p?.x) || !Number.isFinite(p?.y));
+            if (invalidPositions.length > 0) {
+                error('Posições sem coordenadas "x" e "y" numéricas:', invalidPositions.map(([name, p]) => `${name}: ${JSON.stringify(p)}`));
+            }
+        }
+    }
+
+    if (data.curves !== undefined) {
+        if (!Array.isArray(data.curves)) {
+            error('O campo "curves" deve ser uma lista.');
+        } else {
+            const invalidCurves = data.curves.filter(c => typeof c !== 'object' || c === null || !Number.isFinite(c.bend)
+                || c.from === c.to || !transitions.some(t => t.from === c.from && t.to === c.to));
+            if (invalidCurves.length > 0) {
+                error('Curvaturas sem "bend" numérico ou sem transição correspondente:', invalidCurves.map(c => JSON.stringify(c)));
+            }
+        }
+    }
+
+    if (!['AFD', 'MT', 'Mealy', 'Moore'].includes(type)) return errors;
+
+    const transitionsBySource = new Map();
+    for (const transition of transitions) {
+        const key = `${transition.from}\u0000${transition.symbol}`;
+        if (!transitionsBySource.has(key)) {
+            transitionsBySource.set(key, []);
+        }
+        transitionsBySource.get(key).push(transition);
+    }
+
+    for (const group of transitionsBySource.values()) {
+        if (group.length > 1) {
+            const { from, symbol } = group[0];
+            error(`Não determinismo: o estado ${from} tem ${group.length} transições com '${symbol}'`
+                + (type === 'AFD' ? ' (declare "type": "AFN" para autômatos não determinísticos):' : ':'), group.map(t => JSON.stringify(t)));
+        }
+    }
+
+    return errors;
+}
+
+function newAutomaton(type) {
+    if (type === 'AFD') return new AFD();
+    if (type === 'APD') return new APD();
+    if (type === 'MT') return new MT();
+    if (type === 'Mealy') return new Mealy();
+    if (type === 'Moore') return new Moore();
+    return new AFN(type);
+}
+
+function createAutomaton(data) {
+    const automaton = newAutomaton(data.type ?? 'AFD');
+    automaton.alphabet = [...data.alphabet];
+
+    automaton.configure(data);
+
+    data.states.forEach(s => automaton.addState(s, s === data.startState, data.finalStates.includes(s)));
+    for (const t of expandTransitions(data.transitions)) {
+        if (automaton instanceof RuleAutomaton) {
+            automaton.addRule(t.from, t.to, automaton.ruleFromJSON(t));
+        } else {
+            automaton.addTransition(t.from, t.to, t.symbol);
+        }
+    }
+
+    for (const [name, { x, y }] of Object.entries(data.positions ?? {})) {
+        automaton.fixedPositions.set(name, new Vector2(x, y));
+    }
+    for (const { from, to, bend } of data.curves ?? []) {
+        automaton.edgeBends.set(edgeKey(from, to), bend);
+    }
+
+    return automaton;
+}
+
+const EXPECTED_VALUES = new Map([
+    ...['aceita', 'aceito', 'aceitar', 'sim', 'true', '1', '+', 'accept'].map(value => [value, true]),
+    ...['rejeita', 'rejeitada', 'rejeitado', 'rejeitar', 'não', 'nao', 'false', '0', '-', 'reject'].map(value => [value, false])
+]);
+
+function parseExpected(value, where) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value;
+
+    const expected = EXPECTED_VALUES.get(String(value).trim().toLowerCase());
+    if (expected === undefined) {
+        throw new Error(`${where}: resultado esperado "${value}" inválido (use "aceita" ou "rejeita").`);
+    }
+    return expected;
+}
+
+function parseTestSuite(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (err) {
+            throw new Error(`JSON inválido: ${err.message}`);
+        }
+
+        const entries = Array.isArray(data) ? data : [...(data.tests ?? data.words ?? [])];
+        if (!Array.isArray(data)) {
+            entries.push(...(data.accept ?? []).map(word => ({ word, expected: true })));
+            entries.push(...(data.reject ?? []).map(word => ({ word, expected: false })));
+        }
+
+        return entries.map((entry, i) => {
+            if (typeof entry === 'string') return { word: normalizeWord(entry), expected: null };
+            if (typeof entry?.word !== 'string') throw new Error(`Teste ${i + 1}: campo "word" ausente.`);
+            return {
+                word: normalizeWord(entry.word),
+                expected: parseExpected(entry.expected ?? entry.accepted, `Teste ${i + 1}`)
+            };
+        });
+    }
+
+    const tests = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+        const tokens = line.trim().split(/[\s,;]+/);
+        if (tokens.length > 2) throw new Error(`Linha ${i + 1}: use "palavra" ou "palavra resultado".`);
+        tests.push({ word: normalizeWord(tokens[0]), expected: parseExpected(tokens[1], `Linha ${i + 1}`) });
+    });
+    return tests;
+}
+
+function formatTestSuite(tests) {
+    return tests
+        .map(({ word, expected }) => [word || EPSILON, expected === null ? null : expected ? 'aceita' : 'rejeita']
+            .filter(token => token !== null).join(' '))
+        .join('\n');
+}
+
+function runTestSuite(automaton, tests) {
+    return tests.map(({ word, expected }) => {
+        const result = automaton.run(word);
+        return {
+            word,
+            expected,
+            result,
+            finalStates: result.steps[result.steps.length - 1].states,
+            passed: expected === null ? null : expected === result.accepted
+        };
+    });
+}
+
+export {
+    DEFAULT_STATE_RADIUS,
+    STATE_RADIUS,
+    FINAL_STATE_OUTER_RADIUS,
+    MIN_STATE_DISTANCE,
+    EPSILON,
+    AUTOMATON_TYPES,
+    BLANK,
+    DEFAULT_STEP_LIMIT,
+    setStateRadius,
+    edgeKey,
+    formatStates,
+    formatWord,
+    normalizeSymbol,
+    normalizeWord,
+    Vector2,
+    AlgorithmTrace,
+    AFD,
+    AFN,
+    Moore,
+    RuleAutomaton,
+    APD,
+    MT,
+    Mealy,
+    formatStack,
+    parseRegex,
+    regexToString,
+    regexToAFD,
+    parseGrammar,
+    grammarToAutomaton,
+    formatGrammar,
+    validateAutomaton,
+    newAutomaton,
+    createAutomaton,
+    parseTestSuite,
+    formatTestSuite,
+    runTestSuite
+};
@@ -1,4 +1,37 @@
 import * as THREE from 'three';
+import {
+    DEFAULT_STATE_RADIUS,
+    STATE_RADIUS,
+    FINAL_STATE_OUTER_RADIUS,
+    EPSILON,
+    BLANK,
+    DEFAULT_STEP_LIMIT,
+    setStateRadius,
+    edgeKey,
+    formatStates,
+    formatWord,
+    normalizeSymbol,
+    normalizeWord,
+    AFD,
+    AFN,
+    Moore,
+    RuleAutomaton,
+    APD,
+    MT,
+    Mealy,
+    formatStack,
+    AlgorithmTrace,
+    regexToAFD,
+    parseGrammar,
+    grammarToAutomaton,
+    formatGrammar,
+    validateAutomaton,
+    newAutomaton,
+    createAutomaton,
+    parseTestSuite,
+    formatTestSuite,
+    runTestSuite
+} from './core.js';
 
 const scene = new THREE.Scene();
 const camera = new THREE.OrthographicCamera(
@@ -10,386 +43,453 @@ const camera = new THREE.OrthographicCamera(
     1000
 );
 const renderer = new THREE.WebGLRenderer({ antialias: true });
+renderer.setPixelRatio(window.devicePixelRatio);
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
 camera.position.z = 10;
-scene.background = new THREE.Color(0xffffff);
 
-const STATE_RADIUS = 30;
-const FINAL_STATE_OUTER_RADIUS = STATE_RADIUS + 8;
-const MIN_STATE_DISTANCE = STATE_RADIUS * 2.5;
-
-class AFD {
-    constructor() {
-        this.states = new Map();
-        this.transitions = [];
-        this.initialState = null;
-        this.selfLoops = new Map();
+const LABEL_OFFSET = 12;
+const LABEL_PADDING = 4;
+const LABEL_LINE_SPACING = 56 / 48;
+const MAX_LABEL_RESOLUTION = 16;
+const BIDIRECTIONAL_BEND = 40;
+const MIN_LABEL_CONTRAST = 4.5;
+const UNREACHABLE_COLOR = 0xcccccc;
+const STATE_STYLES = {
+    unreachable: { fill: 0xdddddd, border: 0x888888 },
+    dead: { fill: 0xf4b4b4, border: 0xa31515 }
+};
+const THEMES = {
+    light: { background: 0xffffff, line: 0x000000, text: '#000000', state: 0xffff00, stateOpacity: 0.5 },
+    dark: { background: 0x1e1f24, line: 0xe6e6e6, text: '#f2f2f2', state: 0xb8a000, stateOpacity: 0.6 },
+    contrast: { background: 0x000000, line: 0xffffff, text: '#ffffff', state: 0x000000, stateOpacity: 1 },
+    print: { background: 0xffffff, line: 0x000000, text: '#000000', state: 0xffffff, stateOpacity: 1 }
+};
+const PALETTES = {
+    standard: {
+        highlight: 0xff5500,
+        classes: [0x8dd3c7, 0xffffb3, 0xbebada, 0xfb8072, 0x80b1d3, 0xfdb462, 0xb3de69, 0xfccde5, 0xbc80bd, 0xccebc5]
+    },
+    colorblind: {
+        highlight: 0x0072b2,
+        classes: [0xe69f00, 0x56b4e9, 0x009e73, 0xf0e442, 0x0072b2, 0xd55e00, 0xcc79a7, 0x999999]
     }
+};
+const SIMULATION_STEP_DURATION = 800;
+const PLAYBACK_STEP_DURATION = 2000;
+const CLICK_TOLERANCE = 4;
+const TAPE_CELL_SCALE = 1.5;
+
+const diagramOptions = {
+    markUselessStates: true,
+    theme: 'light',
+    palette: 'standard',
+    fontFamily: 'Arial, sans-serif',
+    fontSize: 12,
+    lineWidth: 1,
+    stateRadius: DEFAULT_STATE_RADIUS
+};
+
+const hexColor = (color) => `#${color.toString(16).padStart(6, '0')}`;
+const currentTheme = () => THEMES[diagramOptions.theme];
+const highlightColor = () => PALETTES[diagramOptions.palette].highlight;
+const labelFont = () => `${diagramOptions.fontSize}px ${diagramOptions.fontFamily}`;
+const labelLineHeight = () => diagramOptions.fontSize * LABEL_LINE_SPACING;
+
+function classColor(index) {
+    const colors = PALETTES[diagramOptions.palette].classes;
+    return colors[index % colors.length];
+}
 
-    addState(name, isInitial = false, isFinal = false) {
-        this.states.set(name, {
-            position: new THREE.Vector2(),
-            isInitial,
-            isFinal
-        });
-        if (isInitial) this.initialState = name;
-    }
+function relativeLuminance(color) {
+    const channel = (shift) => {
+        const value = ((color >> shift) & 0xff) / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(16) + 0.7152 * channel(8) + 0.0722 * channel(0);
+}
 
-    addTransition(from, to, symbol) {
-        if (from === to) {
-            if (!this.selfLoops.has(from)) {
-                this.selfLoops.set(from, []);
-            }
-            this.selfLoops.get(from).push(symbol);
-        } else {
-            this.transitions.push({ from, to, symbol });
-        }
-    }
+function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
 
-    layout() {
-        const stateCount = this.states.size;
-        const stateNames = Array.from(this.states.keys());
+function blendColors(color, background, opacity) {
+    const channel = (shift) => Math.round(((color >> shift) & 0xff) * opacity + ((background >> shift) & 0xff) * (1 - opacity));
+    return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+}
 
-        if (this.initialState) {
-            const initialStatePos = this.states.get(this.initialState).position;
-            initialStatePos.x = -window.innerWidth / 6;
-            initialStatePos.y = 0;
-        }
+function labelColorOn(fill) {
+    const { text, background, stateOpacity } = currentTheme();
+    const surface = blendColors(fill, background, stateOpacity);
+    if (contrastRatio(parseInt(text.slice(1), 16), surface) >= MIN_LABEL_CONTRAST) return text;
+    return contrastRatio(0x000000, surface) >= contrastRatio(0xffffff, surface) ? '#000000' : '#ffffff';
+}
 
-        const nonInitialStates = stateNames.filter(name => name !== this.initialState);
-        if (nonInitialStates.length <= 0) return;
+function stateAppearance(afd, name) {
+    const style = STATE_STYLES[afd.stateStyles.get(name)];
+    const color = afd.stateColors.get(name) ?? style?.fill ?? currentTheme().state;
+    return {
+        color,
+        borderColor: style?.border ?? currentTheme().line,
+        textColor: labelColorOn(color)
+    };
+}
 
-        const stateConnections = new Map();
-        for (const state of stateNames) {
-            stateConnections.set(state, { in: 0, out: 0 });
-        }
+function selfLoopGeometry(afd, stateName) {
+    const state = afd.states.get(stateName);
+    const position = state.position;
+    const radiusToUse = state.isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+    const radius = radiusToUse * 1.5;
+
+    return {
+        curve: new THREE.CubicBezierCurve(
+            new THREE.Vector2(position.x, position.y + radiusToUse),
+            new THREE.Vector2(position.x + radius, position.y + radius),
+            new THREE.Vector2(position.x - radius, position.y + radius),
+            new THREE.Vector2(position.x, position.y + radiusToUse)
+        ),
+        label: new THREE.Vector2(position.x, position.y + radius + 20),
+        headRadius: 8,
+        headLength: 16
+    };
+}
 
-        for (const transition of this.transitions) {
-            stateConnections.get(transition.from).out += 1;
-            stateConnections.get(transition.to).in += 1;
-        }
+function arrowHead({ curve }) {
+    const points = curve.getPoints(50);
+    const end = points[points.length - 1];
+    const direction = end.clone().sub(points[points.length - 2]).normalize();
+    return { position: end, direction };
+}
 
-        const stateImportance = new Map();
-        for (const [state, connections] of stateConnections.entries()) {
-            stateImportance.set(state, connections.in + connections.out);
-        }
+function transitionGeometry(afd, { from, to }) {
+    const fromState = afd.states.get(from);
+    const toState = afd.states.get(to);
+    const fromPosition = fromState.position;
+    const toPosition = toState.position;
 
-        const pathLengths = new Map();
-        for (const state of stateNames) {
-            pathLengths.set(state, 0);
-        }
+    const fromRadius = fromState.isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+    const toRadius = toState.isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
 
-        const calculatePathLengths = (state, length) => {
-            const currentLength = pathLengths.get(state);
-            if (length > currentLength) {
-                pathLengths.set(state, length);
-                for (const transition of this.transitions) {
-                    if (transition.from === state) {
-                        calculatePathLengths(transition.to, length + 1);
-                    }
-                }
-            }
-        };
+    const bend = afd.edgeBends.get(edgeKey(from, to));
+    if (bend !== undefined) {
+        return arrowGeometry(fromPosition, toPosition, fromRadius, toRadius, bend);
+    }
 
-        if (this.initialState) {
-            calculatePathLengths(this.initialState, 0);
-        }
+    const collidingState = findCollidingState(afd, fromPosition, toPosition);
+    const bidirectional = afd.transitions.some(t => t.from === to && t.to === from);
 
-        const directTransitionsFromInitial = new Set();
-        if (this.initialState) {
-            for (const transition of this.transitions) {
-                if (transition.from === this.initialState) {
-                    directTransitionsFromInitial.add(transition.to);
-                }
-            }
-        }
+    return collidingState
+        ? curvedArrowGeometry(fromPosition, toPosition, collidingState, fromRadius, toRadius)
+        : arrowGeometry(fromPosition, toPosition, fromRadius, toRadius, bidirectional ? BIDIRECTIONAL_BEND : 20);
+}
 
-        const maxLevel = Math.max(...Array.from(pathLengths.values()));
-        const statesByLevel = Array.from({ length: maxLevel + 1 }, () => []);
+function findCollidingState(afd, from, to) {
+    const direction = to.clone().sub(from);
+    const length = direction.length();
+    direction.normalize();
 
-        for (const state of nonInitialStates) {
-            const level = pathLengths.get(state);
-            statesByLevel[level].push(state);
+    for (const [name, state] of afd.states) {
+        if (state.position.equals(from) || state.position.equals(to)) {
+            continue;
         }
 
-        const baseRadius = MIN_STATE_DISTANCE * 2;
-        const initialPos = this.initialState ? this.states.get(this.initialState).position.clone() : new THREE.Vector2(0, 0);
-
-        const preferredAngles = [0, Math.PI / 4, -Math.PI / 4, Math.PI / 2, -Math.PI / 2, 3 * Math.PI / 4, -3 * Math.PI / 4, Math.PI];
-
-        for (let level = 0; level < statesByLevel.length; level++) {
-            const states = statesByLevel[level];
-            if (states.length === 0) continue;
-
-            const radius = baseRadius * (level + 1);
-            const angleStep = Math.min(2 * Math.PI / states.length, Math.PI / 4);
+        const statePos = state.position;
+        const t = Math.max(0, Math.min(1, statePos.clone().sub(from).dot(direction) / length));
+        const projection = from.clone().add(direction.clone().multiplyScalar(t * length));
+        const distance = statePos.distanceTo(projection);
 
-            states.sort((a, b) => {
-                const aFromInitial = directTransitionsFromInitial.has(a) ? 1 : 0;
-                const bFromInitial = directTransitionsFromInitial.has(b) ? 1 : 0;
-                if (aFromInitial !== bFromInitial) return bFromInitial - aFromInitial;
+        if (distance < STATE_RADIUS * 1.2 && t > 0 && t < 1) {
+            return state;
+        }
+    }
 
-                const aFinal = this.states.get(a).isFinal ? 1 : 0;
-                const bFinal = this.states.get(b).isFinal ? 1 : 0;
-                if (aFinal !== bFinal) return aFinal - bFinal;
+    return null;
+}
 
-                return stateImportance.get(b) - stateImportance.get(a);
-            });
+function curvedArrowGeometry(from, to, collidingState, fromRadius, toRadius) {
+    const direction = to.clone().sub(from).normalize();
+    const collidingDirection = collidingState.position.clone().sub(from).normalize();
+    const perpFactor = collidingDirection.dot(direction) > 0 ? -1 : 1;
 
-            let usedAngles = new Set();
-            let remainingStates = [...states];
-            let placedStates = [];
+    return arrowGeometry(from, to, fromRadius, toRadius, perpFactor * 50);
+}
 
-            if (level === 1) {
-                const directStates = states.filter(s => directTransitionsFromInitial.has(s));
+function initialArrowGeometry(state) {
+    const width = 20;
+    const height = 30;
+    const radiusToUse = state.isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+    const posX = state.position.x - radiusToUse - width;
+    const posY = state.position.y;
+
+    return {
+        lineStart: new THREE.Vector2(posX - 30, posY),
+        lineEnd: new THREE.Vector2(state.position.x - radiusToUse, posY),
+        triangle: [
+            new THREE.Vector2(posX, posY + height / 2),
+            new THREE.Vector2(posX + width, posY),
+            new THREE.Vector2(posX, posY - height / 2)
+        ]
+    };
+}
 
-                for (let i = 0; i < directStates.length; i++) {
-                    const state = directStates[i];
-                    const angleIndex = i % preferredAngles.length;
-                    const angle = preferredAngles[angleIndex];
+function arrowGeometry(from, to, fromRadius, toRadius, bend) {
+    const direction = new THREE.Vector2().subVectors(to, from).normalize();
+    const perpendicular = new THREE.Vector2(-direction.y, direction.x).multiplyScalar(bend);
 
-                    this.states.get(state).position.set(
-                        initialPos.x + radius * Math.cos(angle),
-                        initialPos.y + radius * Math.sin(angle),
-                    );
+    const start = new THREE.Vector2().copy(from).add(direction.clone().multiplyScalar(fromRadius));
+    const end = new THREE.Vector2().copy(to).sub(direction.clone().multiplyScalar(toRadius));
 
-                    usedAngles.add(angle);
-                    placedStates.push(state);
-                    remainingStates = remainingStates.filter(s => s !== state);
-                }
-            }
+    const controlPoint = start.clone()
+        .add(end)
+        .multiplyScalar(0.5)
+        .add(perpendicular);
 
-            if (remainingStates.length > 0) {
-                const startAngle = -Math.PI * 0.75;
-                const endAngle = Math.PI * 0.75;
-                const totalAngle = endAngle - startAngle;
+    const curve = new THREE.QuadraticBezierCurve(start, controlPoint, end);
+    const outward = perpendicular.clone().normalize().multiplyScalar(LABEL_OFFSET);
 
-                for (let i = 0; i < remainingStates.length; i++) {
-                    const state = remainingStates[i];
-                    const ratio = remainingStates.length > 1 ? i / (remainingStates.length - 1) : 0.5;
-                    const angle = startAngle + ratio * totalAngle;
+    return {
+        curve,
+        label: curve.getPoint(0.5).add(outward),
+        headRadius: 5,
+        headLength: 12
+    };
+}
 
-                    const radiusVariation = MIN_STATE_DISTANCE * 0.25 * (Math.random() - 0.5);
+function strokeGeometry(points, width) {
+    const vertices = [];
+    const indices = [];
+
+    points.forEach((point, i) => {
+        const previous = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        const normal = new THREE.Vector2(previous.y - next.y, next.x - previous.x).normalize().multiplyScalar(width / 2);
+        vertices.push(point.x + normal.x, point.y + normal.y, 0, point.x - normal.x, point.y - normal.y, 0);
+        if (i > 0) indices.push(2 * i - 2, 2 * i - 1, 2 * i, 2 * i - 1, 2 * i + 1, 2 * i);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+    return geometry;
+}
 
-                    this.states.get(state).position.set(
-                        initialPos.x + (radius + radiusVariation) * Math.cos(angle),
-                        initialPos.y + (radius + radiusVariation) * Math.sin(angle),
-                    );
-                }
-            }
-        }
+function drawStroke(points, z = 0) {
+    const color = currentTheme().line;
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color }));
+    line.position.z = z;
+    const objects = [line];
 
-        this.preventOverlap();
-        this.preventInitialStateOverlap();
+    if (diagramOptions.lineWidth > 1) {
+        const stroke = new THREE.Mesh(
+            strokeGeometry(points, diagramOptions.lineWidth),
+            new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+        );
+        stroke.position.z = z;
+        objects.push(stroke);
     }
 
-    preventInitialStateOverlap() {
-        if (!this.initialState) return;
+    scene.add(...objects);
+    return objects;
+}
 
-        const initialStatePos = this.states.get(this.initialState).position;
-        const initialRadius = this.states.get(this.initialState).isFinal
-            ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+function labelResolution() {
+    const pixels = camera.zoom * renderer.getPixelRatio();
+    return Math.min(MAX_LABEL_RESOLUTION, 2 ** Math.ceil(Math.log2(Math.max(1, pixels))));
+}
 
-        for (const transition of this.transitions) {
-            if (transition.from === this.initialState || transition.to === this.initialState) {
-                continue;
-            }
+function paintLabel(sprite, resolution) {
+    const lines = sprite.userData.label.split('\n');
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    ctx.font = labelFont();
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + LABEL_PADDING * 2;
+    const height = lines.length * labelLineHeight() + LABEL_PADDING * 2;
+
+    canvas.width = Math.ceil(width * resolution);
+    canvas.height = Math.ceil(height * resolution);
+    ctx.scale(resolution, resolution);
+    ctx.fillStyle = sprite.userData.color ?? currentTheme().text;
+    ctx.font = labelFont();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => ctx.fillText(line, width / 2, LABEL_PADDING + labelLineHeight() * (i + 0.5)));
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+
+    sprite.material.map?.dispose();
+    sprite.material.map = texture;
+    sprite.material.needsUpdate = true;
+    sprite.scale.set(width, height, 1);
+    sprite.userData.resolution = resolution;
+}
 
-            const fromPos = this.states.get(transition.from).position;
-            const toPos = this.states.get(transition.to).position;
+function drawLabel(text, x, y, color = null) {
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ transparent: true }));
+    sprite.userData.label = String(text);
+    sprite.userData.color = color;
+    paintLabel(sprite, labelResolution());
+    sprite.position.set(x, y, 1);
 
-            const direction = toPos.clone().sub(fromPos).normalize();
-            const lineLength = fromPos.distanceTo(toPos);
-            const t = Math.max(0, Math.min(1, initialStatePos.clone().sub(fromPos).dot(direction) / lineLength));
-            const projectionPoint = fromPos.clone().add(direction.clone().multiplyScalar(t * lineLength));
-            const distance = initialStatePos.distanceTo(projectionPoint);
+    scene.add(sprite);
+    return sprite;
+}
 
-            if (distance < initialRadius * 1.5 && t > 0 && t < 1) {
-                transition.needsExtraCurve = true;
-                const perpFactor = initialStatePos.y > projectionPoint.y ? 1 : -1;
-                transition.curveFactor = perpFactor;
-            }
+function refreshLabels() {
+    const resolution = labelResolution();
+    scene.traverse(object => {
+        if (object.userData.label !== undefined && object.userData.resolution !== resolution) {
+            paintLabel(object, resolution);
         }
-    }
+    });
+}
 
-    centerStatesVertically() {
-        let minY = Infinity;
-        let maxY = -Infinity;
+class DiagramView {
+    constructor() {
+        this.afd = null;
+        this.stateObjects = new Map();
+        this.edgeObjects = new Map();
+        this.highlighted = [];
+        this.selection = { stateNames: [], edges: [] };
+    }
 
-        for (const [name, state] of this.states) {
-            minY = Math.min(minY, state.position.y);
-            maxY = Math.max(maxY, state.position.y);
+    draw(afd) {
+        while (scene.children.length > 0) scene.remove(scene.children[0]);
+        this.afd = afd;
+        this.stateObjects.clear();
+        this.edgeObjects.clear();
+        this.highlighted = [];
+        this.selection = { stateNames: [], edges: [] };
+        afd.stateStyles = diagramOptions.markUselessStates ? afd.classifyStates() : new Map();
+
+        for (const [name, state] of afd.states) {
+            this.drawState(name, state);
         }
 
-        const centerY = (minY + maxY) / 2;
-        const offsetY = -centerY;
+        for (const edge of afd.edges()) {
+            this.drawTransition(edge);
+        }
 
-        for (const [name, state] of this.states) {
-            state.position.y += offsetY;
+        for (const [stateName, symbols] of afd.selfLoops) {
+            this.drawSelfLoops(stateName, symbols);
         }
     }
 
-    preventOverlap() {
-        const stateNames = Array.from(this.states.keys());
-        let iterations = 0;
-        const maxIterations = 100;
-
-        let hasOverlap = true;
-        while (hasOverlap && iterations < maxIterations) {
-            hasOverlap = false;
-            iterations++;
-
-            for (let i = 0; i < stateNames.length; i++) {
-                const stateA = this.states.get(stateNames[i]);
-
-                for (let j = i + 1; j < stateNames.length; j++) {
-                    const stateB = this.states.get(stateNames[j]);
-
-                    const distance = stateA.position.distanceTo(stateB.position);
-                    const minDistance = MIN_STATE_DISTANCE;
-
-                    if (distance < minDistance) {
-                        hasOverlap = true;
-                        const direction = new THREE.Vector2()
-                            .subVectors(stateB.position, stateA.position)
-                            .normalize();
-
-                        const moveDistance = (minDistance - distance) / 2;
-
-                        stateA.position.sub(direction.clone().multiplyScalar(moveDistance));
-                        stateB.position.add(direction.clone().multiplyScalar(moveDistance));
-                    }
-                }
-            }
+    registerEdge(from, to, objects) {
+        const key = edgeKey(from, to);
+        if (!this.edgeObjects.has(key)) {
+            this.edgeObjects.set(key, []);
+        }
+        this.edgeObjects.get(key).push(...objects);
+        for (const object of objects) {
+            object.userData.edge = { from, to };
         }
-
-        this.centerStates();
     }
 
-    centerStates() {
-        let centerX = 0;
-        let centerY = 0;
-        const stateEntries = Array.from(this.states.entries());
-
-        stateEntries.forEach(([name, state]) => {
-            centerX += state.position.x;
-            centerY += state.position.y;
-        });
-
-        centerX /= stateEntries.length;
-        centerY /= stateEntries.length;
+    highlight(stateNames, edges) {
+        this.selection = { stateNames, edges };
+        this.paint(stateNames, edges);
+    }
 
-        const offsetX = -centerX;
-        const offsetY = -centerY;
+    clearHighlight() {
+        this.highlight([], []);
+    }
 
-        stateEntries.forEach(([name, state]) => {
-            if (!state.isInitial) {
-                state.position.x += offsetX;
-                state.position.y += offsetY;
-            }
-        });
+    preview(stateNames, edges) {
+        this.paint(stateNames, edges);
     }
 
-    draw() {
-        while (scene.children.length > 0) scene.remove(scene.children[0]);
+    endPreview() {
+        this.paint(this.selection.stateNames, this.selection.edges);
+    }
 
-        for (const [name, state] of this.states) {
-            this.drawState(name, state);
+    paint(stateNames, edges) {
+        for (const object of this.highlighted) {
+            object.material.color.setHex(object.userData.baseColor);
         }
 
-        for (const transition of this.transitions) {
-            this.drawTransition(transition);
-        }
+        const objects = [
+            ...stateNames.flatMap(name => this.stateObjects.get(name) ?? []),
+            ...edges.flatMap(edge => this.edgeObjects.get(edge) ?? [])
+        ];
 
-        for (const [stateName, symbols] of this.selfLoops) {
-            this.drawSelfLoops(stateName, symbols);
+        for (const object of objects) {
+            object.userData.baseColor ??= object.material.color.getHex();
+            object.material.color.setHex(highlightColor());
         }
+        this.highlighted = objects;
     }
 
     drawSelfLoops(stateName, symbols) {
-        const state = this.states.get(stateName);
-        const position = state.position;
-        const isFinal = state.isFinal;
-
-        symbols.sort();
-        const symbolsStr = symbols.join(',');
-
-        const radiusToUse = isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
-
-        const radius = radiusToUse * 1.5;
-        const curve = new THREE.CubicBezierCurve3(
-            new THREE.Vector3(position.x, position.y + radiusToUse, 0),
-            new THREE.Vector3(position.x + radius, position.y + radius, 0),
-            new THREE.Vector3(position.x - radius, position.y + radius, 0),
-            new THREE.Vector3(position.x, position.y + radiusToUse, 0)
-        );
-
-        const points = curve.getPoints(50);
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = new THREE.LineBasicMaterial({ color: 0x000000 });
-        const line = new THREE.Line(geometry, material);
-        scene.add(line);
-
-        const arrowHead = new THREE.ConeGeometry(8, 16, 8);
-        const arrowMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        const arrow = new THREE.Mesh(arrowHead, arrowMaterial);
-
-        const lastPoint = points[points.length - 2];
-        const endPoint = points[points.length - 1];
+        const objects = this.drawEdge(selfLoopGeometry(this.afd, stateName), this.afd.selfLoopLabel(symbols));
+        this.registerEdge(stateName, stateName, objects);
+    }
 
-        arrow.position.copy(endPoint);
+    drawEdge(geometry, text) {
+        const lines = drawStroke(geometry.curve.getPoints(50));
 
-        const direction = new THREE.Vector3(
-            endPoint.x - lastPoint.x,
-            endPoint.y - lastPoint.y,
-            0
-        ).normalize();
+        const arrowHeadGeometry = new THREE.ConeGeometry(geometry.headRadius, geometry.headLength, 8);
+        const arrowMaterial = new THREE.MeshBasicMaterial({ color: currentTheme().line });
+        const arrow = new THREE.Mesh(arrowHeadGeometry, arrowMaterial);
 
+        const { position, direction } = arrowHead(geometry);
+        arrow.position.set(position.x, position.y, 0);
         arrow.lookAt(new THREE.Vector3(
-            endPoint.x + direction.x,
-            endPoint.y + direction.y,
+            position.x + direction.x,
+            position.y + direction.y,
             0
         ));
         arrow.rotateX(Math.PI / 2);
 
         scene.add(arrow);
 
-        this.drawLabel(symbolsStr, position.x, position.y + radius + 20);
+        drawLabel(text, geometry.label.x, geometry.label.y);
+
+        return [...lines, arrow];
     }
 
     drawState(name, state) {
+        const { color, borderColor, textColor } = stateAppearance(this.afd, name);
+        const { stateOpacity } = currentTheme();
+        const lineWidth = diagramOptions.lineWidth;
         const circleGeometry = new THREE.CircleGeometry(STATE_RADIUS, 32);
         const circleMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00,
+            color,
             transparent: true,
-            opacity: 0.5
+            opacity: stateOpacity
         });
         const circle = new THREE.Mesh(circleGeometry, circleMaterial);
         circle.position.set(state.position.x, state.position.y, 0);
+        circle.userData.state = name;
         scene.add(circle);
+        this.stateObjects.set(name, [circle]);
 
-        const borderGeometry = new THREE.RingGeometry(STATE_RADIUS - 1, STATE_RADIUS, 32);
-        const borderMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.DoubleSide });
+        const borderGeometry = new THREE.RingGeometry(STATE_RADIUS - lineWidth, STATE_RADIUS, 32);
+        const borderMaterial = new THREE.MeshBasicMaterial({ color: borderColor, side: THREE.DoubleSide });
         const border = new THREE.Mesh(borderGeometry, borderMaterial);
         border.position.set(state.position.x, state.position.y, 0.1);
         scene.add(border);
 
         if (state.isFinal) {
-            const fillGeometry = new THREE.RingGeometry(STATE_RADIUS, FINAL_STATE_OUTER_RADIUS - 1, 32);
+            const fillGeometry = new THREE.RingGeometry(STATE_RADIUS, FINAL_STATE_OUTER_RADIUS - lineWidth, 32);
             const fillMaterial = new THREE.MeshBasicMaterial({
-                color: 0xffff00,
+                color,
                 transparent: true,
-                opacity: 0.5,
+                opacity: stateOpacity,
                 side: THREE.DoubleSide
             });
             const fill = new THREE.Mesh(fillGeometry, fillMaterial);
             fill.position.set(state.position.x, state.position.y, 0.15);
+            fill.userData.state = name;
             scene.add(fill);
+            this.stateObjects.get(name).push(fill);
 
-            const outerGeometry = new THREE.RingGeometry(FINAL_STATE_OUTER_RADIUS - 1, FINAL_STATE_OUTER_RADIUS, 32);
-            const outerMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, side: THREE.DoubleSide });
+            const outerGeometry = new THREE.RingGeometry(FINAL_STATE_OUTER_RADIUS - lineWidth, FINAL_STATE_OUTER_RADIUS, 32);
+            const outerMaterial = new THREE.MeshBasicMaterial({ color: borderColor, side: THREE.DoubleSide });
             const outer = new THREE.Mesh(outerGeometry, outerMaterial);
             outer.position.set(state.position.x, state.position.y, 0.2);
             scene.add(outer);
@@ -399,235 +499,2662 @@ class AFD {
             this.drawInitialArrow(state);
         }
 
-        this.drawLabel(name, state.position.x, state.position.y);
+        drawLabel(this.afd.stateLabel(name), state.position.x, state.position.y, textColor);
+    }
+
+    drawTransition(edge) {
+        const objects = this.drawEdge(transitionGeometry(this.afd, edge), this.afd.edgeLabel(edge));
+        this.registerEdge(edge.from, edge.to, objects);
+    }
+
+    drawInitialArrow(state) {
+        const { lineStart, lineEnd, triangle } = initialArrowGeometry(state);
+
+        const triangleShape = new THREE.Shape(triangle);
+        const geometry = new THREE.ShapeGeometry(triangleShape);
+        const material = new THREE.MeshBasicMaterial({ color: currentTheme().line });
+        const mesh = new THREE.Mesh(geometry, material);
+
+        drawStroke([lineStart, lineEnd], -0.1);
+        scene.add(mesh);
+    }
+}
+
+const EXPORT_MARGIN = 20;
+
+function diagramElements(afd) {
+    const states = Array.from(afd.states, ([name, state]) => ({
+        name,
+        state,
+        ...stateAppearance(afd, name)
+    }));
+
+    const edges = [
+        ...afd.edges().map(edge => ({ geometry: transitionGeometry(afd, edge), text: afd.edgeLabel(edge) })),
+        ...Array.from(afd.selfLoops, ([name, symbols]) => ({
+            geometry: selfLoopGeometry(afd, name),
+            text: afd.selfLoopLabel(symbols)
+        }))
+    ];
+
+    return { states, edges };
+}
+
+function curveControlPoints(curve) {
+    return curve.isCubicBezierCurve
+        ? [curve.v0, curve.v1, curve.v2, curve.v3]
+        : [curve.v0, curve.v1, curve.v2];
+}
+
+function arrowHeadTriangle(afd, geometry) {
+    const { position, direction } = arrowHead(geometry);
+    const perpendicular = new THREE.Vector2(-direction.y, direction.x).multiplyScalar(geometry.headRadius);
+    const tip = position.clone().add(direction.clone().multiplyScalar(geometry.headLength / 2));
+    const base = position.clone().sub(direction.clone().multiplyScalar(geometry.headLength / 2));
+    return [tip, base.clone().add(perpendicular), base.clone().sub(perpendicular)];
+}
+
+function diagramBounds(afd, { states, edges }) {
+    const box = new THREE.Box2();
+
+    for (const { state } of states) {
+        const radius = state.isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+        box.expandByPoint(new THREE.Vector2().copy(state.position).addScalar(radius));
+        box.expandByPoint(new THREE.Vector2().copy(state.position).subScalar(radius));
+        if (state.isInitial) box.expandByPoint(initialArrowGeometry(state).lineStart);
+    }
+
+    for (const { geometry, text } of edges) {
+        curveControlPoints(geometry.curve).forEach(point => box.expandByPoint(point));
+        const halfWidth = String(text).length * diagramOptions.fontSize * 0.3;
+        box.expandByPoint(geometry.label.clone().add(new THREE.Vector2(halfWidth, diagramOptions.fontSize)));
+        box.expandByPoint(geometry.label.clone().sub(new THREE.Vector2(halfWidth, diagramOptions.fontSize)));
     }
 
-    drawTransition({ from, to, symbol }) {
-        const fromState = this.states.get(from);
-        const toState = this.states.get(to);
-        const fromPosition = fromState.position;
-        const toPosition = toState.position;
-        const isFinalFrom = fromState.isFinal;
-        const isFinalTo = toState.isFinal;
+    if (box.isEmpty()) box.set(new THREE.Vector2(0, 0), new THREE.Vector2(0, 0));
+    return box.expandByScalar(EXPORT_MARGIN);
+}
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const escapeXML = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function exportSVG(afd) {
+    const elements = diagramElements(afd);
+    const bounds = diagramBounds(afd, elements);
+    const point = (v) => `${formatNumber(v.x - bounds.min.x)} ${formatNumber(bounds.max.y - v.y)}`;
+    const width = bounds.max.x - bounds.min.x;
+    const height = bounds.max.y - bounds.min.y;
+    const parts = [];
+
+    const text = (content, position, color = null) => {
+        const x = formatNumber(position.x - bounds.min.x);
+        const y = formatNumber(bounds.max.y - position.y);
+        const fill = color === null || color === currentTheme().text ? '' : ` fill="${color}"`;
+        const lines = content.split('\n');
+        if (lines.length === 1) {
+            parts.push(`<text x="${x}" y="${y}"${fill}>${escapeXML(content)}</text>`);
+            return;
+        }
+
+        const spans = lines.map((line, i) => {
+            const dy = i === 0 ? -labelLineHeight() * (lines.length - 1) / 2 : labelLineHeight();
+            return `<tspan x="${x}" dy="${formatNumber(dy)}">${escapeXML(line)}</tspan>`;
+        });
+        parts.push(`<text x="${x}" y="${y}"${fill}>${spans.join('')}</text>`);
+    };
 
-        const fromRadius = isFinalFrom ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
-        const toRadius = isFinalTo ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
+    const theme = currentTheme();
+    const lineColor = hexColor(theme.line);
+    const inset = diagramOptions.lineWidth / 2;
 
-        const collidingState = this.findCollidingState(fromPosition, toPosition);
+    for (const { name, state, color, borderColor, textColor } of elements.states) {
+        const cx = formatNumber(state.position.x - bounds.min.x);
+        const cy = formatNumber(bounds.max.y - state.position.y);
+        const fill = `fill="${hexColor(color)}" fill-opacity="${theme.stateOpacity}"`;
+        const stroke = `stroke="${hexColor(borderColor)}"`;
 
-        if (collidingState) {
-            this.drawCurvedArrow(fromPosition, toPosition, symbol, collidingState, fromRadius, toRadius);
+        if (state.isFinal) {
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="${FINAL_STATE_OUTER_RADIUS - inset}" ${fill} ${stroke}/>`);
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="${STATE_RADIUS - inset}" fill="none" ${stroke}/>`);
         } else {
-            this.drawArrow(fromPosition, toPosition, symbol, fromRadius, toRadius);
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="${STATE_RADIUS - inset}" ${fill} ${stroke}/>`);
+        }
+
+        if (state.isInitial) {
+            const { lineStart, lineEnd, triangle } = initialArrowGeometry(state);
+            parts.push(`<path d="M ${point(lineStart)} L ${point(lineEnd)}" fill="none" stroke="${lineColor}"/>`);
+            parts.push(`<polygon points="${triangle.map(point).join(' ')}" fill="${lineColor}"/>`);
         }
+
+        text(afd.stateLabel(name), state.position, textColor);
     }
 
-    findCollidingState(from, to) {
-        const direction = to.clone().sub(from);
-        const length = direction.length();
-        direction.normalize();
+    for (const { geometry, text: label } of elements.edges) {
+        const [start, ...controls] = curveControlPoints(geometry.curve);
+        const command = controls.length === 3 ? 'C' : 'Q';
+        parts.push(`<path d="M ${point(start)} ${command} ${controls.map(point).join(' ')}" fill="none" stroke="${lineColor}"/>`);
+        parts.push(`<polygon points="${arrowHeadTriangle(afd, geometry).map(point).join(' ')}" fill="${lineColor}"/>`);
+        text(label, geometry.label);
+    }
 
-        for (const [name, state] of this.states) {
-            if (state.position.equals(from) || state.position.equals(to)) {
-                continue;
-            }
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}" height="${formatNumber(height)}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">`,
+        `<rect width="100%" height="100%" fill="${hexColor(theme.background)}"/>`,
+        `<g font-family="${escapeXML(diagramOptions.fontFamily)}" font-size="${formatNumber(diagramOptions.fontSize)}" fill="${theme.text}" stroke-width="${diagramOptions.lineWidth}" text-anchor="middle" dominant-baseline="central">`,
+        ...parts,
+        '</g>',
+        '</svg>'
+    ].join('\n');
 
-            const statePos = state.position;
-            const t = Math.max(0, Math.min(1, statePos.clone().sub(from).dot(direction) / length));
-            const projection = from.clone().add(direction.clone().multiplyScalar(t * length));
-            const distance = statePos.distanceTo(projection);
+    return { svg, width, height };
+}
 
-            if (distance < STATE_RADIUS * 1.2 && t > 0 && t < 1) {
-                return state;
-            }
+function exportPNG(afd, scale = 4) {
+    const { svg, width, height } = exportSVG(afd);
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(resolve, 'image/png');
+        };
+        image.onerror = () => reject(new Error('Não foi possível rasterizar o SVG.'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
+
+const TIKZ_UNIT = 0.025;
+
+const escapeLaTeX = (text) => String(text)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}')
+    .replace(/ε/g, '$\\varepsilon$')
+    .replace(/→/g, '$\\to$')
+    .replace(/□/g, '\\textvisiblespace{}');
+
+function exportTikZ(afd) {
+    const elements = diagramElements(afd);
+    const point = (v) => `(${formatNumber(v.x)}, ${formatNumber(v.y)})`;
+    const size = (units) => `${Number((units * TIKZ_UNIT).toFixed(4))}cm`;
+    const lines = [
+        '% \\usepackage{tikz}',
+        '% \\usetikzlibrary{automata, arrows.meta}',
+        `\\begin{tikzpicture}[x=${size(1)}, y=${size(1)}, >={Stealth[length=${size(12)}]},`,
+        `    every state/.style={draw, minimum size=${size(STATE_RADIUS * 2)}, inner sep=0pt},`,
+        `    accepting by double/.append style={minimum size=${size(FINAL_STATE_OUTER_RADIUS + STATE_RADIUS)}, double distance=${size(FINAL_STATE_OUTER_RADIUS - STATE_RADIUS)}},`,
+        `    initial text={}, initial distance=${size(50)}]`
+    ];
+
+    const colors = new Map();
+    const colorName = (color) => {
+        if (!colors.has(color)) {
+            colors.set(color, `stateColor${colors.size}`);
+            lines.push(`\\definecolor{${colors.get(color)}}{HTML}{${hexColor(color).slice(1).toUpperCase()}}`);
         }
+        return colors.get(color);
+    };
 
-        return null;
+    elements.states.forEach(({ name, state, color, borderColor }, i) => {
+        const options = ['state', `fill=${colorName(color)}!50`];
+        if (borderColor !== currentTheme().line) options.push(`draw=${colorName(borderColor)}`);
+        if (state.isInitial) options.push('initial');
+        if (state.isFinal) options.push('accepting');
+        lines.push(`\\node[${options.join(', ')}] (s${i}) at ${point(state.position)} {${escapeLaTeX(afd.stateLabel(name))}};`);
+    });
+
+    for (const { geometry, text } of elements.edges) {
+        const [start, ...controls] = curveControlPoints(geometry.curve);
+        const [c1, c2, end] = controls.length === 3
+            ? controls
+            : [
+                start.clone().lerp(controls[0], 2 / 3),
+                controls[1].clone().lerp(controls[0], 2 / 3),
+                controls[1]
+            ];
+        lines.push(`\\draw[->] ${point(start)} .. controls ${point(c1)} and ${point(c2)} .. ${point(end)};`);
+        lines.push(`\\node[align=center] at ${point(geometry.label)} {${text.split('\n').map(escapeLaTeX).join(' \\\\ ')}};`);
     }
 
-    drawCurvedArrow(from, to, symbol, collidingState, fromRadius, toRadius) {
-        const direction = to.clone().sub(from).normalize();
-        const collidingDirection = collidingState.position.clone().sub(from).normalize();
-        const perpFactor = collidingDirection.dot(direction) > 0 ? -1 : 1;
-        const perpendicular = new THREE.Vector2(-direction.y, direction.x).multiplyScalar(perpFactor * 50);
+    lines.push('\\end{tikzpicture}');
+    return lines.join('\n');
+}
 
-        const start = from.clone().add(direction.clone().multiplyScalar(fromRadius));
-        const end = to.clone().sub(direction.clone().multiplyScalar(toRadius));
+function inferType(transitions) {
+    if (transitions.some(t => t.symbol === EPSILON)) return 'AFN-ε';
 
-        const controlPoint = start.clone()
-            .add(end)
-            .multiplyScalar(0.5)
-            .add(perpendicular);
+    const seen = new Set();
+    for (const { from, symbol } of transitions) {
+        const key = `${from}\u0000${symbol}`;
+        if (seen.has(key)) return 'AFN';
+        seen.add(key);
+    }
+    return 'AFD';
+}
 
-        const curve = new THREE.QuadraticBezierCurve(
-            new THREE.Vector3(start.x, start.y, 0),
-            new THREE.Vector3(controlPoint.x, controlPoint.y, 0),
-            new THREE.Vector3(end.x, end.y, 0)
-        );
+function buildAutomatonData({ states, transitions, startState, finalStates }) {
+    const type = inferType(transitions);
+    const alphabet = [...new Set(transitions.map(t => t.symbol).filter(symbol => symbol !== undefined && symbol !== EPSILON))];
+
+    return {
+        ...(type !== 'AFD' && { type }),
+        states,
+        alphabet,
+        transitions,
+        startState,
+        finalStates
+    };
+}
 
-        const points = curve.getPoints(50);
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = new THREE.LineBasicMaterial({ color: 0x000000 });
-        const line = new THREE.Line(geometry, material);
-        scene.add(line);
+function parseJSONAutomaton(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`JSON inválido: ${err.message}`);
+    }
+}
 
-        const arrowHead = new THREE.ConeGeometry(5, 12, 8);
-        const arrowMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        const arrow = new THREE.Mesh(arrowHead, arrowMaterial);
+function parseJFLAP(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('JFLAP: o arquivo não é um XML válido.');
+    }
 
-        arrow.position.set(end.x, end.y, 0);
+    const type = doc.getElementsByTagName('type')[0]?.textContent.trim();
+    const automatonType = Object.keys(JFLAP_TYPES).find(key => JFLAP_TYPES[key] === type);
+    if (type !== 'fa' && !automatonType) {
+        throw new Error(`JFLAP: tipo "${type}" não suportado, use ${['fa', ...Object.values(JFLAP_TYPES)].join(', ')}.`);
+    }
 
-        const lastPoint = points[points.length - 2];
-        const direction2 = new THREE.Vector3(
-            end.x - lastPoint.x,
-            end.y - lastPoint.y,
-            0
-        ).normalize();
+    const childText = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent ?? '';
+    const names = new Map();
+    const states = [];
+    const finalStates = [];
+    const outputs = {};
+    let startState;
+
+    for (const element of Array.from(doc.getElementsByTagName('state'))) {
+        const id = element.getAttribute('id');
+        const name = element.getAttribute('name') || `q${id}`;
+        names.set(id, name);
+        states.push(name);
+
+        if (element.getElementsByTagName('initial').length > 0) startState = name;
+        if (element.getElementsByTagName('final').length > 0) finalStates.push(name);
+        if (automatonType === 'Moore') outputs[name] = childText(element, 'output');
+    }
 
-        arrow.lookAt(new THREE.Vector3(
-            end.x + direction2.x,
-            end.y + direction2.y,
-            0
-        ));
-        arrow.rotateX(Math.PI / 2);
+    const transitions = Array.from(doc.getElementsByTagName('transition')).map(element => {
+        const read = childText(element, 'read');
+        const transition = {
+            from: names.get(childText(element, 'from').trim()),
+            to: names.get(childText(element, 'to').trim()),
+            symbol: automatonType === 'MT' && read === '' ? BLANK : normalizeSymbol(read)
+        };
+        if (automatonType === 'APD') {
+            Object.assign(transition, { pop: normalizeSymbol(childText(element, 'pop')), push: normalizeSymbol(childText(element, 'push')) });
+        }
+        if (automatonType === 'MT') {
+            Object.assign(transition, { write: childText(element, 'write') || BLANK, move: childText(element, 'move').trim() });
+        }
+        if (automatonType === 'Mealy') transition.output = childText(element, 'transout');
+        return transition;
+    });
+
+    if (!automatonType) return buildAutomatonData({ states, transitions, startState, finalStates });
+
+    const symbols = (key) => [...new Set(transitions.map(t => t[key]).filter(symbol => symbol !== EPSILON && symbol !== BLANK))];
+    return {
+        type: automatonType,
+        states,
+        alphabet: symbols('symbol'),
+        transitions,
+        startState,
+        finalStates,
+        ...(automatonType === 'MT' && { tapeAlphabet: symbols('write') }),
+        ...(automatonType === 'Moore' && { outputs })
+    };
+}
 
-        scene.add(arrow);
+function tokenizeDOT(text) {
+    const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|(->|--|[{}[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/y;
+    const tokens = [];
+
+    while (pattern.lastIndex < text.length) {
+        const position = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`DOT: caractere inesperado '${text[position]}' na posição ${position}.`);
+        }
 
-        const labelPos = controlPoint.clone();
-        this.drawLabel(symbol, labelPos.x, labelPos.y);
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'id', value: match[1].replace(/\\(["\\])/g, '$1') });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'op', value: match[2] });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'id', value: match[3] });
+        }
     }
 
-    drawInitialArrow(state) {
-        const width = 20;
-        const height = 30;
-        const radiusToUse = state.isFinal ? FINAL_STATE_OUTER_RADIUS : STATE_RADIUS;
-        const posX = state.position.x - radiusToUse - width;
-        const posY = state.position.y;
-
-        const triangleShape = new THREE.Shape();
-        triangleShape.moveTo(0, height / 2);
-        triangleShape.lineTo(width, 0);
-        triangleShape.lineTo(0, -height / 2);
-        triangleShape.lineTo(0, height / 2);
+    return tokens;
+}
 
-        const geometry = new THREE.ShapeGeometry(triangleShape);
-        const material = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        const triangle = new THREE.Mesh(geometry, material);
-        triangle.position.set(posX, posY, 0);
+function parseDOT(text) {
+    const tokens = tokenizeDOT(text);
+    let index = 0;
 
-        const lineStart = new THREE.Vector2(posX - 30, posY);
-        const lineEnd = new THREE.Vector2(state.position.x - radiusToUse, posY);
+    const peek = () => tokens[index];
+    const next = () => {
+        if (index >= tokens.length) throw new Error('DOT: fim inesperado do arquivo.');
+        return tokens[index++];
+    };
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const isKeyword = (value) => peek()?.type === 'id' && peek().value.toLowerCase() === value;
+    const expectOp = (value) => {
+        if (!isOp(value)) throw new Error(`DOT: esperado '${value}', encontrado '${peek()?.value ?? 'fim do arquivo'}'.`);
+        index++;
+    };
 
-        const points = [
-            new THREE.Vector3(lineStart.x, lineStart.y, -0.1),
-            new THREE.Vector3(lineEnd.x, lineEnd.y, -0.1)
-        ];
+    const parseAttributes = () => {
+        const attributes = {};
+        while (isOp('[')) {
+            next();
+            while (!isOp(']')) {
+                const key = next().value;
+                let value = 'true';
+                if (isOp('=')) {
+                    next();
+                    value = next().value;
+                }
+                attributes[key] = value;
+                if (isOp(',') || isOp(';')) next();
+            }
+            expectOp(']');
+        }
+        return attributes;
+    };
+
+    if (isKeyword('strict')) next();
+    if (!isKeyword('digraph')) {
+        throw new Error('DOT: apenas grafos direcionados (digraph) são suportados.');
+    }
+    next();
+    if (peek()?.type === 'id') next();
+    expectOp('{');
+
+    const nodes = new Map();
+    const edges = [];
+    const scopes = [{}];
+
+    const declare = (id) => {
+        if (!nodes.has(id)) nodes.set(id, { ...scopes[scopes.length - 1] });
+        return nodes.get(id);
+    };
+
+    const parseNodeId = () => {
+        const token = next();
+        if (token.type !== 'id') throw new Error(`DOT: esperado um identificador, encontrado '${token.value}'.`);
+        const id = token.value;
+        while (isOp(':')) {
+            next();
+            next();
+        }
+        return id;
+    };
+
+    while (scopes.length > 0) {
+        if (isOp(';')) {
+            next();
+        } else if (isOp('}')) {
+            next();
+            scopes.pop();
+        } else if (isKeyword('subgraph') || isOp('{')) {
+            if (isKeyword('subgraph')) next();
+            if (peek()?.type === 'id') next();
+            expectOp('{');
+            scopes.push({ ...scopes[scopes.length - 1] });
+        } else if ((isKeyword('node') || isKeyword('edge') || isKeyword('graph')) && tokens[index + 1]?.value === '[') {
+            const keyword = next().value.toLowerCase();
+            const attributes = parseAttributes();
+            if (keyword === 'node') Object.assign(scopes[scopes.length - 1], attributes);
+        } else if (tokens[index + 1]?.value === '=') {
+            next();
+            next();
+            next();
+        } else {
+            const chain = [parseNodeId()];
+            while (isOp('->') || isOp('--')) {
+                next();
+                chain.push(parseNodeId());
+            }
+            const attributes = parseAttributes();
+
+            chain.forEach(declare);
+            if (chain.length === 1) {
+                Object.assign(nodes.get(chain[0]), attributes);
+            }
+            for (let i = 1; i < chain.length; i++) {
+                edges.push({ from: chain[i - 1], to: chain[i], attributes });
+            }
+        }
+    }
 
-        const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        const lineMaterial = new THREE.LineBasicMaterial({ color: 0x000000 });
-        const line = new THREE.Line(lineGeometry, lineMaterial);
+    const hasIncoming = new Set(edges.map(e => e.to));
+    const isMarker = (id, attributes) => ['point', 'none', 'plaintext', 'plain'].includes(attributes.shape)
+        || /invis/.test(attributes.style ?? '')
+        || (/^(__)?(start|init)\d*$/i.test(id) && !hasIncoming.has(id));
 
-        scene.add(line);
-        scene.add(triangle);
+    const markers = new Set(Array.from(nodes).filter(([id, attributes]) => isMarker(id, attributes)).map(([id]) => id));
+    const nameOf = (id) => nodes.get(id).label || id;
+
+    const states = Array.from(nodes.keys()).filter(id => !markers.has(id)).map(nameOf);
+    const finalStates = Array.from(nodes)
+        .filter(([id, attributes]) => !markers.has(id) && (attributes.shape === 'doublecircle' || attributes.peripheries === '2'))
+        .map(([id]) => nameOf(id));
+
+    const initialStates = [...new Set(edges.filter(e => markers.has(e.from)).map(e => nameOf(e.to)))];
+    if (initialStates.length > 1) {
+        throw new Error(`DOT: mais de um estado inicial marcado (${initialStates.join(', ')}).`);
     }
 
-    drawArrow(from, to, symbol, fromRadius, toRadius) {
-        const direction = to.clone().sub(from).normalize();
-        const perpendicular = new THREE.Vector2(-direction.y, direction.x).multiplyScalar(20);
+    const transitions = edges
+        .filter(e => !markers.has(e.from))
+        .flatMap(({ from, to, attributes }) => (attributes.label === undefined ? [undefined] : attributes.label.split(','))
+            .map(symbol => ({ from: nameOf(from), to: nameOf(to), symbol: symbol === undefined ? undefined : normalizeSymbol(symbol) })));
 
-        const start = from.clone().add(direction.clone().multiplyScalar(fromRadius));
-        const end = to.clone().sub(direction.clone().multiplyScalar(toRadius));
+    return buildAutomatonData({ states, transitions, startState: initialStates[0], finalStates });
+}
 
-        const controlPoint = start.clone()
-            .add(end)
-            .multiplyScalar(0.5)
-            .add(perpendicular);
+function parseTargetCell(cell, names = []) {
+    const known = [...names].sort((a, b) => b.length - a.length);
+    const split = (text) => {
+        const targets = [];
+        let rest = text.trim();
+        while (rest !== '') {
+            const token = known.find(name => rest.startsWith(name) && /^\s*(,|$)/.test(rest.slice(name.length)))
+                ?? rest.match(/^[^,]*/)[0];
+            targets.push(token.trim());
+            rest = rest.slice(token.length).replace(/^\s*,/, '').trimStart();
+        }
+        return targets.filter(target => target !== '' && target !== '-' && target !== '∅');
+    };
 
-        const curve = new THREE.QuadraticBezierCurve(
-            new THREE.Vector3(start.x, start.y, 0),
-            new THREE.Vector3(controlPoint.x, controlPoint.y, 0),
-            new THREE.Vector3(end.x, end.y, 0)
-        );
+    const targets = split(cell);
+    return targets.every(target => names.includes(target)) ? targets : split(cell.trim().replace(/^\{|\}$/g, ''));
+}
 
-        const points = curve.getPoints(50);
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = new THREE.LineBasicMaterial({ color: 0x000000 });
-        const line = new THREE.Line(geometry, material);
-        scene.add(line);
+function parseTransitionTable(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(line => line.length > 0)
+        .map(line => line.match(/\{[^}]*\}|[^\s|]+/g));
 
-        const arrowHead = new THREE.ConeGeometry(5, 12, 8);
-        const arrowMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        const arrow = new THREE.Mesh(arrowHead, arrowMaterial);
+    if (rows.length < 2) {
+        throw new Error('Tabela: é preciso uma linha de cabeçalho com os símbolos e uma linha por estado.');
+    }
 
-        arrow.position.set(end.x, end.y, 0);
+    const [header, ...body] = rows;
+    const symbols = ['δ', 'delta'].includes(header[0].toLowerCase()) ? header.slice(1) : header;
+
+    const states = [];
+    const finalStates = [];
+    const transitions = [];
+    let startState;
+
+    for (const row of body) {
+        let label = row[0];
+        let cells = row.slice(1);
+        let isInitial = false;
+        let isFinal = false;
+
+        while (['->', '→', '*'].includes(label) && cells.length > 0) {
+            if (label === '*') isFinal = true;
+            else isInitial = true;
+            label = cells[0];
+            cells = cells.slice(1);
+        }
 
-        const lastPoint = points[points.length - 2];
-        const direction2 = new THREE.Vector3(
-            end.x - lastPoint.x,
-            end.y - lastPoint.y,
-            0
-        ).normalize();
+        let marker;
+        while ((marker = label.match(/^(->|→|\*)/))) {
+            if (marker[1] === '*') isFinal = true;
+            else isInitial = true;
+            label = label.slice(marker[1].length);
+        }
 
-        arrow.lookAt(new THREE.Vector3(
-            end.x + direction2.x,
-            end.y + direction2.y,
-            0
-        ));
-        arrow.rotateX(Math.PI / 2);
+        if (cells.length !== symbols.length) {
+            throw new Error(`Tabela: a linha do estado ${label} tem ${cells.length} células, esperado ${symbols.length}.`);
+        }
 
-        scene.add(arrow);
+        states.push(label);
+        if (isInitial) startState = label;
+        if (isFinal) finalStates.push(label);
+
+        cells.forEach((cell, i) => {
+            parseTargetCell(cell).forEach(to => transitions.push({ from: label, to, symbol: normalizeSymbol(symbols[i]) }));
+        });
+    }
+
+    return buildAutomatonData({ states, transitions, startState, finalStates });
+}
+
+const importers = [
+    {
+        name: 'JSON',
+        extensions: ['.json'],
+        detect: (text) => text.trimStart().startsWith('{'),
+        parse: parseJSONAutomaton
+    },
+    {
+        name: 'JFLAP',
+        extensions: ['.jff'],
+        detect: (text) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<structure[\s>]/.test(text),
+        parse: parseJFLAP
+    },
+    {
+        name: 'DOT',
+        extensions: ['.dot', '.gv'],
+        detect: (text) => /^\s*((\/\/|#)[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*(strict\s+)?digraph\b/i.test(text),
+        parse: parseDOT
+    },
+    {
+        name: 'Tabela',
+        extensions: ['.txt', '.tab'],
+        detect: (text) => /^\s*(->|→)/m.test(text),
+        parse: parseTransitionTable
+    }
+];
+
+function importAutomaton(text, filename = '') {
+    const extension = filename.toLowerCase().match(/\.[^.]+$/)?.[0];
+    const importer = importers.find(candidate => candidate.detect(text))
+        ?? importers.find(candidate => candidate.extensions.includes(extension));
+
+    if (!importer) {
+        throw new Error(`Formato não reconhecido. Formatos suportados: ${importers.map(i => i.name).join(', ')}.`);
+    }
+
+    return { format: importer.name, data: importer.parse(text) };
+}
+
+const JFLAP_TYPES = { APD: 'pda', MT: 'turing', Mealy: 'mealy', Moore: 'moore' };
+
+function exportJFLAP(afd) {
+    const names = Array.from(afd.states.keys());
+    const positions = Array.from(afd.states.values(), state => state.position);
+    const minX = Math.min(0, ...positions.map(p => p.x));
+    const maxY = Math.max(0, ...positions.map(p => p.y));
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<structure>',
+        `\t<type>${JFLAP_TYPES[afd.type] ?? 'fa'}</type>`,
+        '\t<automaton>'
+    ];
+
+    const tag = (name, value) => value === EPSILON || (afd instanceof MT && value === afd.blank)
+        ? `\t\t\t<${name}/>`
+        : `\t\t\t<${name}>${escapeXML(value)}</${name}>`;
+
+    names.forEach((name, id) => {
+        const state = afd.states.get(name);
+        lines.push(`\t\t<state id="${id}" name="${escapeXML(name)}">`);
+        lines.push(`\t\t\t<x>${formatNumber(state.position.x - minX + EXPORT_MARGIN * 3)}</x>`);
+        lines.push(`\t\t\t<y>${formatNumber(maxY - state.position.y + EXPORT_MARGIN * 3)}</y>`);
+        if (state.isInitial) lines.push('\t\t\t<initial/>');
+        if (state.isFinal) lines.push('\t\t\t<final/>');
+        if (afd instanceof Moore) lines.push(tag('output', afd.stateOutput(name) || EPSILON));
+        lines.push('\t\t</state>');
+    });
+
+    for (const { from, to, symbol, pop, push, write, move, output } of afd.toJSON().transitions) {
+        lines.push('\t\t<transition>');
+        lines.push(`\t\t\t<from>${names.indexOf(from)}</from>`);
+        lines.push(`\t\t\t<to>${names.indexOf(to)}</to>`);
+        lines.push(tag('read', symbol));
+        if (afd instanceof APD) lines.push(tag('pop', pop), tag('push', push));
+        if (afd instanceof MT) lines.push(tag('write', write), tag('move', move));
+        if (afd instanceof Mealy) lines.push(tag('transout', output || EPSILON));
+        lines.push('\t\t</transition>');
+    }
+
+    lines.push('\t</automaton>', '</structure>');
+    return lines.join('\n');
+}
+
+function exportDOT(afd, name = 'automato') {
+    const quote = (id) => `"${String(id).replace(/(["\\])/g, '\\$1')}"`;
+    const lines = [
+        `digraph ${quote(name)} {`,
+        '    rankdir=LR;',
+        '    __start [shape=point];',
+        '    node [shape=circle];'
+    ];
+
+    for (const [stateName, state] of afd.states) {
+        const label = afd.stateLabel(stateName);
+        const attributes = [
+            ...(state.isFinal ? ['shape=doublecircle'] : []),
+            ...(label !== stateName ? [`label=${quote(label)}`] : [])
+        ];
+        lines.push(attributes.length > 0 ? `    ${quote(stateName)} [${attributes.join(', ')}];` : `    ${quote(stateName)};`);
+    }
 
-        const labelPos = controlPoint.clone();
-        this.drawLabel(symbol, labelPos.x, labelPos.y);
+    if (afd.initialState) {
+        lines.push(`    __start -> ${quote(afd.initialState)};`);
     }
 
-    drawLabel(text, x, y) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
+    const edges = [
+        ...afd.edges(),
+        ...Array.from(afd.selfLoops, ([stateName, symbols]) => ({ from: stateName, to: stateName, symbols }))
+    ];
+    for (const edge of edges) {
+        lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(afd.edgeLabel(edge))}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+class Stepper {
+    constructor(steps, stepDuration) {
+        this.steps = steps;
+        this.stepDuration = stepDuration;
+        this.index = 0;
+        this.playing = false;
+        this.lastStepTime = 0;
+    }
+
+    get step() {
+        return this.steps[this.index];
+    }
 
-        canvas.width = 256;
-        canvas.height = 128;
+    get finished() {
+        return this.index === this.steps.length - 1;
+    }
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    play() {
+        if (this.finished) this.index = 0;
+        this.playing = true;
+        this.lastStepTime = performance.now();
+        this.show();
+    }
 
-        ctx.fillStyle = 'black';
-        ctx.font = '48px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+    pause() {
+        this.playing = false;
+        this.show();
+    }
 
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.minFilter = THREE.LinearFilter;
-        texture.needsUpdate = true;
+    forward() {
+        if (!this.finished) this.index++;
+        this.show();
+    }
 
-        const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
-        const sprite = new THREE.Sprite(material);
+    back() {
+        if (this.index > 0) this.index--;
+        this.show();
+    }
 
-        sprite.scale.set(STATE_RADIUS * 2, STATE_RADIUS, 1);
-        sprite.position.set(x, y, 1);
+    update(time) {
+        if (!this.playing || time - this.lastStepTime < this.stepDuration) return;
 
-        scene.add(sprite);
+        this.lastStepTime = time;
+        this.index++;
+        if (this.finished) this.playing = false;
+        this.show();
     }
 }
 
-const input = document.getElementById('fileInput');
-input.addEventListener('change', (e) => {
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        const data = JSON.parse(event.target.result);
-        const afd = new AFD();
+class Simulation extends Stepper {
+    constructor(afd, word) {
+        const result = afd.run(word);
+        super(result.steps, SIMULATION_STEP_DURATION);
+        this.afd = afd;
+        this.result = result;
+    }
 
-        data.states.forEach(s => afd.addState(s, s === data.startState, data.finalStates.includes(s)));
-        data.transitions.forEach(t => afd.addTransition(t.from, t.to, t.symbol));
+    reset() {
+        this.index = 0;
+        this.playing = false;
+        this.show();
+    }
 
-        afd.layout();
-        afd.draw();
-    };
-    reader.readAsText(e.target.files[0]);
-});
+    show() {
+        diagramView.highlight(this.step.states, this.step.edges);
+        updateSimulationPanel(this);
+    }
+}
+
+class Playback extends Stepper {
+    constructor(trace) {
+        super(trace.steps, PLAYBACK_STEP_DURATION);
+        this.trace = trace;
+        this.result = trace.build();
+        this.result.layout(...layoutOptions());
+    }
+
+    show() {
+        const automaton = this.trace.build(this.index + 1);
+        for (const [name, state] of automaton.states) {
+            state.position.copy(this.result.states.get(name).position);
+        }
+        diagramView.draw(automaton);
+        diagramView.highlight(this.step.states, this.step.edges);
+        updatePlaybackPanel(this);
+    }
+}
+
+class TapeView {
+    constructor() {
+        this.group = new THREE.Group();
+    }
+
+    show(afd, { tape, head }) {
+        this.clear();
+
+        const cellSize = STATE_RADIUS * TAPE_CELL_SCALE;
+        const bounds = diagramBounds(afd, diagramElements(afd));
+        const center = bounds.getCenter(new THREE.Vector2());
+        const positions = [...tape.keys(), head];
+        const first = Math.min(0, ...positions) - 1;
+        const last = Math.max(...positions) + 1;
+        const left = center.x - (last - first + 1) * cellSize / 2;
+        const y = bounds.min.y - cellSize * 2;
+        const cellX = (i) => left + (i - first + 0.5) * cellSize;
+
+        for (let i = first; i <= last; i++) {
+            const geometry = new THREE.PlaneGeometry(cellSize, cellSize);
+            const cell = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: i === head ? highlightColor() : currentTheme().background }));
+            const border = new THREE.LineSegments(new THREE.EdgesGeometry(geometry), new THREE.LineBasicMaterial({ color: currentTheme().line }));
+            cell.position.set(cellX(i), y, 0);
+            border.position.copy(cell.position);
+            this.group.add(cell, border);
+
+            if (tape.has(i)) this.group.add(drawLabel(tape.get(i), cellX(i), y));
+        }
+
+        const marker = new THREE.Mesh(
+            new THREE.ConeGeometry(cellSize / 4, cellSize / 2, 3),
+            new THREE.MeshBasicMaterial({ color: highlightColor() })
+        );
+        marker.rotation.z = Math.PI;
+        marker.position.set(cellX(head), y + cellSize, 0);
+        this.group.add(marker);
+
+        scene.add(this.group);
+    }
+
+    clear() {
+        scene.remove(this.group);
+        this.group.clear();
+    }
+
+    expandBounds(bounds) {
+        if (!this.group.parent) return bounds;
+
+        const box = new THREE.Box3().setFromObject(this.group);
+        return bounds
+            .expandByPoint(new THREE.Vector2(box.min.x, box.min.y))
+            .expandByPoint(new THREE.Vector2(box.max.x, box.max.y));
+    }
+}
+
+class Editor {
+    constructor(domElement) {
+        this.domElement = domElement;
+        this.enabled = false;
+        this.afd = null;
+        this.selection = null;
+        this.drag = null;
+        this.connection = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.params.Line.threshold = 6;
+
+        domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        domElement.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        domElement.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    }
+
+    attach(afd) {
+        this.afd = afd;
+        this.selection = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange?.();
+    }
+
+    pointer(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const world = new THREE.Vector3(ndc.x, ndc.y, 0).unproject(camera);
+        return { ndc, world: new THREE.Vector2(world.x, world.y) };
+    }
+
+    pick(ndc) {
+        scene.updateMatrixWorld();
+        this.raycaster.setFromCamera(ndc, camera);
+        const hits = this.raycaster.intersectObjects(scene.children, false);
+
+        const stateHit = hits.find(hit => hit.object.userData.state !== undefined);
+        if (stateHit) return { state: stateHit.object.userData.state };
+
+        const edgeHit = hits.find(hit => hit.object.userData.edge !== undefined);
+        if (edgeHit) return { edge: edgeHit.object.userData.edge };
+
+        return null;
+    }
+
+    record() {
+        this.undoStack.push(this.afd.snapshot());
+        this.redoStack = [];
+    }
+
+    commit() {
+        this.redraw();
+        this.onEdit?.();
+    }
+
+    redraw() {
+        diagramView.draw(this.afd);
+        if (this.selection?.state !== undefined) {
+            diagramView.highlight([this.selection.state], []);
+        } else if (this.selection?.edge) {
+            diagramView.highlight([], [edgeKey(this.selection.edge.from, this.selection.edge.to)]);
+        }
+        this.onChange?.();
+    }
+
+    select(selection) {
+        this.selection = selection;
+        this.redraw();
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled || !this.afd || event.button !== 0) return;
+
+        const { ndc, world } = this.pointer(event);
+        const target = this.pick(ndc);
+
+        if (target?.state !== undefined) {
+            const position = this.afd.states.get(target.state).position;
+            if (event.shiftKey) {
+                this.connection = { from: target.state, line: null };
+            } else {
+                this.drag = { name: target.state, offset: world.clone().sub(position), before: this.afd.snapshot(), moved: false };
+            }
+            this.domElement.setPointerCapture(event.pointerId);
+            this.select({ state: target.state });
+        } else if (target?.edge) {
+            this.select({ edge: target.edge });
+        } else {
+            this.addState(world);
+        }
+    }
+
+    onPointerMove(event) {
+        if (!this.drag && !this.connection) return;
+
+        const { world } = this.pointer(event);
+
+        if (this.drag) {
+            this.afd.states.get(this.drag.name).position.copy(world.sub(this.drag.offset));
+            this.drag.moved = true;
+            this.redraw();
+        } else {
+            if (this.connection.line) scene.remove(this.connection.line);
+
+            const from = this.afd.states.get(this.connection.from).position;
+            const geometry = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(from.x, from.y, 0.5),
+                new THREE.Vector3(world.x, world.y, 0.5)
+            ]);
+            this.connection.line = new THREE.Line(geometry, new THREE.LineDashedMaterial({ color: highlightColor(), dashSize: 6, gapSize: 4 }));
+            this.connection.line.computeLineDistances();
+            scene.add(this.connection.line);
+        }
+    }
+
+    onPointerUp(event) {
+        if (this.drag) {
+            if (this.drag.moved) {
+                this.afd.fixedPositions.set(this.drag.name, this.afd.states.get(this.drag.name).position.clone());
+                this.undoStack.push(this.drag.before);
+                this.redoStack = [];
+                this.commit();
+            }
+            this.drag = null;
+        }
+
+        if (this.connection) {
+            const { from, line } = this.connection;
+            this.connection = null;
+            if (line) scene.remove(line);
+
+            const target = this.pick(this.pointer(event).ndc);
+            if (target?.state !== undefined) {
+                this.addTransition(from, target.state);
+            }
+        }
+    }
+
+    addState(position) {
+        let index = this.afd.states.size;
+        while (this.afd.states.has(`Q${index}`)) index++;
+        const name = `Q${index}`;
+
+        this.record();
+        this.afd.addState(name, this.afd.states.size === 0);
+        this.afd.states.get(name).position.copy(position);
+        this.afd.fixedPositions.set(name, position.clone());
+        this.selection = { state: name };
+        this.commit();
+    }
+
+    addTransition(from, to) {
+        if (this.afd instanceof RuleAutomaton) {
+            this.addRules(from, to);
+            return;
+        }
+
+        const answer = prompt(`Símbolos da transição ${from} → ${to} (separados por vírgula, vazio para ε):`);
+        if (answer === null) return;
+
+        const symbols = [...new Set(answer.split(',').map(symbol => symbol.trim() || EPSILON))];
+        for (const symbol of symbols) {
+            const error = this.checkTransition(from, to, symbol);
+            if (error) {
+                this.onError?.(error);
+                return;
+            }
+        }
+
+        this.record();
+        for (const symbol of symbols) {
+            if (symbol !== EPSILON && !this.afd.alphabet.includes(symbol)) {
+                this.afd.alphabet.push(symbol);
+            }
+            this.afd.addTransition(from, to, symbol);
+        }
+        this.selection = { edge: { from, to } };
+        this.commit();
+    }
+
+    addRules(from, to) {
+        const format = this.afd.ruleFormat;
+        const answer = prompt(`Transições ${from} → ${to} no formato "${format}" (separe várias com ';'):`);
+        if (answer === null) return;
+
+        const rules = [];
+        for (const text of answer.split(';')) {
+            const rule = this.afd.parseRule(text);
+            if (!rule) {
+                this.onError?.(`Transição inválida: "${text.trim()}". Use o formato "${format}".`);
+                return;
+            }
+
+            const error = this.afd.checkRule(from, to, rule, rules.map(r => ({ from, to, ...r })));
+            if (error) {
+                this.onError?.(error);
+                return;
+            }
+            rules.push(rule);
+        }
+
+        this.record();
+        for (const rule of rules) {
+            this.afd.registerRuleSymbols(rule);
+            this.afd.addRule(from, to, rule);
+        }
+        this.selection = { edge: { from, to } };
+        this.commit();
+    }
+
+    checkTransition(from, to, symbol) {
+        const afn = this.afd instanceof AFN;
+        if (symbol === EPSILON && this.afd.type !== 'AFN-ε') {
+            return `Transições ε só são permitidas em autômatos do tipo "AFN-ε".`;
+        }
+        if (!afn && this.afd.hasTransition(from, symbol)) {
+            return `Não determinismo: ${from} já tem uma transição com '${symbol}'.`;
+        }
+        if (afn && this.afd.targets(from, symbol).includes(to)) {
+            return `A transição ${from} → ${to} com '${symbol}' já existe.`;
+        }
+        return null;
+    }
+
+    setTargets(from, symbol, targets) {
+        const unknown = targets.find(name => !this.afd.states.has(name));
+        if (unknown !== undefined) {
+            this.onError?.(`Estado desconhecido: ${unknown}.`);
+            return;
+        }
+        if (!(this.afd instanceof AFN) && targets.length > 1) {
+            this.onError?.(`Não determinismo: ${from} teria ${targets.length} transições com '${symbol}'.`);
+            return;
+        }
+
+        this.record();
+        this.afd.setTargets(from, symbol, targets);
+        this.afd.layout(...layoutOptions());
+        this.commit();
+    }
+
+    toggleInitial() {
+        if (this.selection?.state === undefined) return;
+        this.record();
+        this.afd.setInitial(this.selection.state);
+        this.commit();
+    }
+
+    toggleFinal() {
+        if (this.selection?.state === undefined) return;
+        this.record();
+        this.afd.toggleFinal(this.selection.state);
+        this.commit();
+    }
+
+    setOutput() {
+        const name = this.selection?.state;
+        if (name === undefined || !(this.afd instanceof Moore)) return;
+
+        const answer = prompt(`Saída do estado ${name} (vazio para ε):`, this.afd.stateOutput(name));
+        if (answer === null) return;
+
+        this.record();
+        this.afd.outputs.set(name, normalizeWord(answer));
+        this.commit();
+    }
+
+    deleteSelection() {
+        if (!this.selection) return;
+
+        this.record();
+        if (this.selection.state !== undefined) {
+            this.afd.removeState(this.selection.state);
+        } else {
+            this.afd.removeTransitions(this.selection.edge.from, this.selection.edge.to);
+        }
+        this.selection = null;
+        this.commit();
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(this.afd.snapshot());
+        this.afd.restore(this.undoStack.pop());
+        this.selection = null;
+        this.commit();
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(this.afd.snapshot());
+        this.afd.restore(this.redoStack.pop());
+        this.selection = null;
+        this.commit();
+    }
+}
+
+class Inspector {
+    constructor(domElement, picker) {
+        this.domElement = domElement;
+        this.picker = picker;
+        this.hovered = null;
+        this.pathStart = null;
+        this.pathShown = false;
+        this.press = null;
+
+        domElement.addEventListener('pointerdown', (e) => this.press = { x: e.clientX, y: e.clientY });
+        domElement.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        domElement.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        domElement.addEventListener('pointerleave', () => this.hover(null));
+    }
+
+    reset() {
+        this.pathStart = null;
+        this.pathShown = false;
+        this.onPath?.(null);
+    }
+
+    target(event) {
+        return this.picker.pick(this.picker.pointer(event).ndc)?.state ?? null;
+    }
+
+    onPointerMove(event) {
+        if (event.buttons !== 0 || !diagramView.afd) return;
+        this.hover(this.target(event), event);
+    }
+
+    hover(name, event = null) {
+        if (name === null) {
+            if (this.hovered !== null) diagramView.endPreview();
+        } else {
+            const afd = diagramView.afd;
+            const edges = afd.transitions
+                .filter(t => t.from === name || t.to === name)
+                .map(t => edgeKey(t.from, t.to));
+            if (afd.selfLoops.has(name)) edges.push(edgeKey(name, name));
+            diagramView.preview([name], [...new Set(edges)]);
+        }
+
+        this.hovered = name;
+        this.onHover?.(name, event);
+    }
+
+    onPointerUp(event) {
+        const press = this.press;
+        this.press = null;
+        if (this.picker.enabled || !press || !diagramView.afd) return;
+        if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > CLICK_TOLERANCE) return;
+
+        const name = this.target(event);
+        const afd = diagramView.afd;
+
+        if (name === null) {
+            if (this.pathStart === null && !this.pathShown) return;
+            this.pathStart = null;
+            this.pathShown = false;
+            diagramView.clearHighlight();
+            this.onPath?.(null);
+        } else if (this.pathStart === null) {
+            this.pathStart = name;
+            this.pathShown = false;
+            diagramView.highlight([name], []);
+            this.onPath?.({ from: name });
+        } else {
+            const from = this.pathStart;
+            const path = afd instanceof APD || afd instanceof MT ? undefined : afd.shortestPath(from, name);
+            this.pathStart = null;
+            this.pathShown = true;
+            diagramView.highlight(path?.states ?? [from, name], path?.edges ?? []);
+            this.onPath?.({ from, to: name, path });
+        }
+    }
+}
+
+class CameraControls {
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.minZoom = 0.1;
+        this.maxZoom = 10;
+        this.panning = null;
+        this.shouldPan = () => true;
+
+        domElement.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        domElement.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        domElement.addEventListener('pointerup', () => this.panning = null);
+        domElement.addEventListener('contextmenu', (e) => e.preventDefault());
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    resize() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        this.camera.left = width / -2;
+        this.camera.right = width / 2;
+        this.camera.top = height / 2;
+        this.camera.bottom = height / -2;
+        this.camera.updateProjectionMatrix();
+
+        renderer.setSize(width, height);
+    }
+
+    screenToWorld(clientX, clientY) {
+        const rect = this.domElement.getBoundingClientRect();
+        const point = new THREE.Vector3(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+            0
+        ).unproject(this.camera);
+        return new THREE.Vector2(point.x, point.y);
+    }
+
+    setZoom(zoom) {
+        this.camera.zoom = THREE.MathUtils.clamp(zoom, this.minZoom, this.maxZoom);
+        this.camera.updateProjectionMatrix();
+    }
+
+    zoomAt(clientX, clientY, factor) {
+        this.camera.updateMatrixWorld();
+        const before = this.screenToWorld(clientX, clientY);
+        this.setZoom(this.camera.zoom * factor);
+        this.camera.updateMatrixWorld();
+        const after = this.screenToWorld(clientX, clientY);
+
+        this.camera.position.x += before.x - after.x;
+        this.camera.position.y += before.y - after.y;
+    }
+
+    zoomBy(factor) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, factor);
+    }
+
+    getView() {
+        return { zoom: this.camera.zoom, x: this.camera.position.x, y: this.camera.position.y };
+    }
+
+    setView({ zoom, x, y }) {
+        this.camera.position.x = x;
+        this.camera.position.y = y;
+        this.setZoom(zoom);
+    }
+
+    fit(box) {
+        if (box.isEmpty()) return;
+
+        const center = box.getCenter(new THREE.Vector2());
+        const size = box.getSize(new THREE.Vector2());
+        const width = this.camera.right - this.camera.left;
+        const height = this.camera.top - this.camera.bottom;
+
+        this.camera.position.x = center.x;
+        this.camera.position.y = center.y;
+        this.setZoom(Math.min(width / Math.max(size.x, 1), height / Math.max(size.y, 1), 1.5));
+    }
+
+    onWheel(event) {
+        event.preventDefault();
+        this.zoomAt(event.clientX, event.clientY, Math.exp(-event.deltaY * 0.001));
+    }
+
+    onPointerDown(event) {
+        if (!this.shouldPan(event)) return;
+
+        this.panning = { x: event.clientX, y: event.clientY };
+        this.domElement.setPointerCapture(event.pointerId);
+    }
+
+    onPointerMove(event) {
+        if (!this.panning) return;
+
+        this.camera.position.x -= (event.clientX - this.panning.x) / this.camera.zoom;
+        this.camera.position.y += (event.clientY - this.panning.y) / this.camera.zoom;
+        this.panning = { x: event.clientX, y: event.clientY };
+    }
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+const baseName = (filename) => filename.replace(/\.[^.]+$/, '');
+
+const SESSION_KEY = 'afd.session';
+const RECENT_FILES_KEY = 'afd.recentFiles';
+const RECENT_FILES_LIMIT = 8;
+const STYLE_KEY = 'afd.style';
+
+function readStorage(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const input = document.getElementById('fileInput');
+const simulationForm = document.getElementById('simulationForm');
+const wordInput = document.getElementById('wordInput');
+const playButton = document.getElementById('playButton');
+const stepBackButton = document.getElementById('stepBackButton');
+const stepForwardButton = document.getElementById('stepForwardButton');
+const resetButton = document.getElementById('resetButton');
+const errorPanel = document.getElementById('errorPanel');
+const errorList = document.getElementById('errorList');
+const closeErrorsButton = document.getElementById('closeErrorsButton');
+const automatonSelect = document.getElementById('automatonSelect');
+const recentFilesSelect = document.getElementById('recentFilesSelect');
+const convertButton = document.getElementById('convertButton');
+const newTypeSelect = document.getElementById('newTypeSelect');
+const newAutomatonButton = document.getElementById('newAutomatonButton');
+const minimizeButton = document.getElementById('minimizeButton');
+const colorClassesInput = document.getElementById('colorClassesInput');
+const minimizationTable = document.getElementById('minimizationTable');
+const editModeInput = document.getElementById('editModeInput');
+const toggleInitialButton = document.getElementById('toggleInitialButton');
+const toggleFinalButton = document.getElementById('toggleFinalButton');
+const stateOutputButton = document.getElementById('stateOutputButton');
+const deleteButton = document.getElementById('deleteButton');
+const undoButton = document.getElementById('undoButton');
+const redoButton = document.getElementById('redoButton');
+const exportJSONButton = document.getElementById('exportJSONButton');
+const exportSVGButton = document.getElementById('exportSVGButton');
+const exportPNGButton = document.getElementById('exportPNGButton');
+const exportTikZButton = document.getElementById('exportTikZButton');
+const exportJFLAPButton = document.getElementById('exportJFLAPButton');
+const zoomInButton = document.getElementById('zoomInButton');
+const zoomOutButton = document.getElementById('zoomOutButton');
+const fitButton = document.getElementById('fitButton');
+const layoutSelect = document.getElementById('layoutSelect');
+const layoutSeedInput = document.getElementById('layoutSeedInput');
+const relayoutButton = document.getElementById('relayoutButton');
+const regexForm = document.getElementById('regexForm');
+const regexInput = document.getElementById('regexInput');
+const toRegexButton = document.getElementById('toRegexButton');
+const grammarForm = document.getElementById('grammarForm');
+const grammarInput = document.getElementById('grammarInput');
+const toGrammarButton = document.getElementById('toGrammarButton');
+const exportGrammarButton = document.getElementById('exportGrammarButton');
+const regexOutput = document.getElementById('regexOutput');
+const eliminationSteps = document.getElementById('eliminationSteps');
+const operandASelect = document.getElementById('operandASelect');
+const operandBSelect = document.getElementById('operandBSelect');
+const operationResult = document.getElementById('operationResult');
+const counterexampleControls = document.getElementById('counterexampleControls');
+const simulateOnAButton = document.getElementById('simulateOnAButton');
+const simulateOnBButton = document.getElementById('simulateOnBButton');
+const completeButton = document.getElementById('completeButton');
+const markUselessInput = document.getElementById('markUselessInput');
+const stateAnalysis = document.getElementById('stateAnalysis');
+const wordLimitInput = document.getElementById('wordLimitInput');
+const lengthBoundInput = document.getElementById('lengthBoundInput');
+const languageStatus = document.getElementById('languageStatus');
+const acceptedWords = document.getElementById('acceptedWords');
+const rejectedExample = document.getElementById('rejectedExample');
+const lengthCountsTable = document.getElementById('lengthCountsTable');
+const exportDOTButton = document.getElementById('exportDOTButton');
+const simulationTape = document.getElementById('simulationTape');
+const simulationStatus = document.getElementById('simulationStatus');
+const simulationOutput = document.getElementById('simulationOutput');
+const acceptanceControl = document.getElementById('acceptanceControl');
+const acceptanceSelect = document.getElementById('acceptanceSelect');
+const stepLimitControl = document.getElementById('stepLimitControl');
+const stepLimitInput = document.getElementById('stepLimitInput');
+const configurationList = document.getElementById('configurationList');
+const stackView = document.getElementById('stackView');
+const batchWordsInput = document.getElementById('batchWordsInput');
+const batchRunButton = document.getElementById('batchRunButton');
+const batchFileInput = document.getElementById('batchFileInput');
+const batchSummary = document.getElementById('batchSummary');
+const batchTable = document.getElementById('batchTable');
+const transitionTable = document.getElementById('transitionTable');
+const stateTooltip = document.getElementById('stateTooltip');
+const themeSelect = document.getElementById('themeSelect');
+const paletteSelect = document.getElementById('paletteSelect');
+const fontFamilySelect = document.getElementById('fontFamilySelect');
+const fontSizeInput = document.getElementById('fontSizeInput');
+const lineWidthInput = document.getElementById('lineWidthInput');
+const stateRadiusInput = document.getElementById('stateRadiusInput');
+const pathInfo = document.getElementById('pathInfo');
+const playbackAlgorithmSelect = document.getElementById('playbackAlgorithmSelect');
+const playbackStartButton = document.getElementById('playbackStartButton');
+const playbackBackButton = document.getElementById('playbackBackButton');
+const playbackPlayButton = document.getElementById('playbackPlayButton');
+const playbackForwardButton = document.getElementById('playbackForwardButton');
+const playbackStopButton = document.getElementById('playbackStopButton');
+const playbackCounter = document.getElementById('playbackCounter');
+const playbackText = document.getElementById('playbackText');
+const transitionTableHint = document.getElementById('transitionTableHint');
+
+let currentAFD = null;
+let simulation = null;
+let playback = null;
+let minimization = null;
+let batchTests = null;
+const workspace = [];
+const editor = new Editor(renderer.domElement);
+const cameraControls = new CameraControls(camera, renderer.domElement);
+const inspector = new Inspector(renderer.domElement, editor);
+const tapeView = new TapeView();
+const diagramView = new DiagramView();
+
+cameraControls.shouldPan = (e) => e.button === 1 || e.button === 2 || (e.button === 0 && !editor.enabled);
+
+function fitToView() {
+    if (currentAFD) cameraControls.fit(tapeView.expandBounds(diagramBounds(currentAFD, diagramElements(currentAFD))));
+}
+
+editor.onChange = () => {
+    const stateSelected = editor.selection?.state !== undefined;
+    toggleInitialButton.disabled = !stateSelected;
+    toggleFinalButton.disabled = !stateSelected;
+    stateOutputButton.disabled = !stateSelected || !(editor.afd instanceof Moore);
+    deleteButton.disabled = !editor.selection;
+    undoButton.disabled = editor.undoStack.length === 0;
+    redoButton.disabled = editor.redoStack.length === 0;
+};
+
+editor.onEdit = () => {
+    stopPlayback();
+    simulation = null;
+    updateSimulationPanel(null);
+    updateStateAnalysis();
+    updateLanguageAnalysis();
+    updateBatchTable();
+    updateTransitionTable();
+    saveSession();
+};
+
+function updateStateAnalysis() {
+    stateAnalysis.replaceChildren();
+    const finite = !(currentAFD instanceof AFN || currentAFD instanceof RuleAutomaton || currentAFD instanceof Moore);
+    completeButton.disabled = !currentAFD || !finite;
+    if (!currentAFD) return;
+
+    const { unreachable, dead } = currentAFD.analyseStates();
+    const missing = !finite ? 0 : Array.from(currentAFD.states.keys())
+        .reduce((count, name) => count + currentAFD.inputSymbols().filter(symbol => currentAFD.nextState(name, symbol) === null).length, 0);
+
+    const rows = [
+        ['Inalcançáveis', unreachable, 'unreachable'],
+        ...(currentAFD.acceptsByFinalState() ? [['Mortos (não alcançam estado final)', dead, 'dead']] : [])
+    ];
+    for (const [title, states, style] of rows) {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.background = hexColor(STATE_STYLES[style].fill);
+        swatch.style.borderColor = hexColor(STATE_STYLES[style].border);
+        item.append(swatch, `${title}: ${states.length > 0 ? states.join(', ') : 'nenhum'}`);
+        stateAnalysis.appendChild(item);
+    }
+
+    if (finite) {
+        const item = document.createElement('li');
+        item.textContent = missing > 0 ? `Transições ausentes: ${missing}` : 'Autômato completo';
+        stateAnalysis.appendChild(item);
+    }
+}
+
+const LANGUAGE_STATUS = {
+    empty: 'Linguagem vazia: nenhum estado final é alcançável a partir do inicial.',
+    finite: 'Linguagem finita: não há ciclos entre estados úteis.',
+    infinite: 'Linguagem infinita: há ciclo entre estados úteis.'
+};
+
+function updateLanguageAnalysis() {
+    languageStatus.textContent = '';
+    acceptedWords.textContent = '';
+    rejectedExample.textContent = '';
+    lengthCountsTable.replaceChildren();
+    if (!currentAFD?.initialState) return;
+    if (currentAFD instanceof Mealy || currentAFD instanceof Moore) {
+        languageStatus.textContent = 'Transdutores não reconhecem linguagens: use a simulação para ver a saída.';
+        return;
+    }
+    if (currentAFD instanceof RuleAutomaton) {
+        languageStatus.textContent = 'Análise disponível apenas para autômatos finitos.';
+        return;
+    }
+
+    const wordLimit = Math.max(1, Number(wordLimitInput.value) || 10);
+    const lengthBound = Math.min(30, Math.max(0, Number(lengthBoundInput.value) || 0));
+    const { status, words, counts, rejected } = asAFD(currentAFD).analyseLanguage(wordLimit, lengthBound);
+
+    languageStatus.textContent = LANGUAGE_STATUS[status];
+    if (status !== 'empty') {
+        const all = status === 'finite' && words.length < wordLimit;
+        acceptedWords.textContent = `${all ? 'Todas as palavras aceitas' : `Primeiras ${words.length} palavras aceitas`}: ${words.map(formatWord).join(', ')}`;
+    }
+    rejectedExample.textContent = rejected === null
+        ? 'Todas as palavras sobre o alfabeto são aceitas.'
+        : `Exemplo de palavra rejeitada: ${formatWord(rejected)}`;
+
+    const header = lengthCountsTable.createTHead().insertRow();
+    for (const title of ['Comprimento', 'Palavras aceitas']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+
+    const body = lengthCountsTable.createTBody();
+    counts.forEach((count, length) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = String(length);
+        row.insertCell().textContent = String(count);
+    });
+}
+
+inspector.onHover = (name, event) => {
+    stateTooltip.hidden = name === null;
+    if (name === null) return;
+
+    const afd = diagramView.afd;
+    const { in: inDegree, out: outDegree, distance, isFinal } = afd.stateDetails(name);
+    stateTooltip.replaceChildren();
+    const title = document.createElement('strong');
+    title.textContent = afd.stateLabel(name);
+    stateTooltip.append(
+        title,
+        document.createElement('br'),
+        `Grau de entrada: ${inDegree} · saída: ${outDegree}`,
+        document.createElement('br'),
+        distance === null
+            ? `Inalcançável a partir de ${afd.initialState ?? 'nenhum estado inicial'}`
+            : `Distância de ${afd.initialState}: ${distance}`,
+        document.createElement('br'),
+        isFinal ? 'Estado final' : 'Estado não final'
+    );
+    stateTooltip.style.left = `${event.clientX + 12}px`;
+    stateTooltip.style.top = `${event.clientY + 12}px`;
+};
+
+inspector.onPath = (selection) => {
+    pathInfo.hidden = selection === null;
+    if (selection === null) return;
+
+    const { from, to, path } = selection;
+    if (to === undefined) {
+        pathInfo.textContent = `Origem ${from}: clique no estado de destino.`;
+    } else if (path === undefined) {
+        pathInfo.textContent = 'Caminho mais curto disponível apenas para autômatos finitos e transdutores.';
+    } else if (path === null) {
+        pathInfo.textContent = `${to} não é alcançável a partir de ${from}.`;
+    } else {
+        pathInfo.textContent = `Palavra mais curta de ${from} até ${to}: ${formatWord(path.word)} (${path.states.join(' → ')})`;
+    }
+};
+
+editor.onError = (message) => showErrors('Edição não permitida', [{ message, entries: [] }]);
+
+function conversionOf(automaton) {
+    if (automaton instanceof AFN) return { target: 'AFD', convert: () => automaton.toAFD() };
+    if (automaton instanceof Mealy) return { target: 'Moore', convert: () => automaton.toMoore() };
+    if (automaton instanceof Moore) return { target: 'Mealy', convert: () => automaton.toMealy() };
+    return null;
+}
+
+function showAutomaton(automaton) {
+    inspector.reset();
+    playback = null;
+    updatePlaybackPanel(null);
+    diagramView.draw(automaton);
+
+    currentAFD = automaton;
+    simulation = null;
+    updateSimulationPanel(null);
+    editor.attach(automaton);
+
+    automatonSelect.value = String(workspace.findIndex(entry => entry.automaton === automaton));
+    updateStateAnalysis();
+    updateLanguageAnalysis();
+    updateBatchTable();
+    updateTransitionTable();
+    const conversion = conversionOf(automaton);
+    convertButton.disabled = !conversion;
+    convertButton.textContent = `Converter para ${conversion?.target ?? 'AFD'}`;
+    minimizeButton.disabled = automaton instanceof AFN || automaton instanceof RuleAutomaton || automaton instanceof Moore;
+    toRegexButton.disabled = automaton instanceof RuleAutomaton || automaton instanceof Moore;
+    toGrammarButton.disabled = toRegexButton.disabled;
+    exportGrammarButton.disabled = toRegexButton.disabled;
+    updatePlaybackAlgorithms();
+    acceptanceControl.hidden = !(automaton instanceof APD);
+    if (automaton instanceof APD) acceptanceSelect.value = automaton.acceptBy;
+    stepLimitControl.hidden = !(automaton instanceof MT);
+    if (automaton instanceof MT) stepLimitInput.value = String(automaton.stepLimit);
+    saveSession();
+}
+
+function saveSession() {
+    const entry = workspace.find(e => e.automaton === currentAFD);
+    if (!entry) return;
+
+    const data = currentAFD.toJSON();
+    writeStorage(SESSION_KEY, {
+        label: entry.label,
+        automaton: data,
+        camera: cameraControls.getView(),
+        word: wordInput.value
+    });
+
+    const recentFiles = readStorage(RECENT_FILES_KEY, []);
+    const recent = recentFiles.find(file => file.name === entry.label);
+    if (recent) {
+        recent.data = data;
+        writeStorage(RECENT_FILES_KEY, recentFiles);
+    }
+}
+
+function restoreSession() {
+    const session = readStorage(SESSION_KEY, null);
+    if (!session?.automaton || validateAutomaton(session.automaton).length > 0) return;
+
+    wordInput.value = session.word ?? '';
+    addToWorkspace(session.label, createAutomaton(session.automaton));
+    if (session.camera) cameraControls.setView(session.camera);
+    saveSession();
+}
+
+function updateRecentFilesSelect() {
+    recentFilesSelect.replaceChildren();
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Arquivos recentes…';
+    recentFilesSelect.appendChild(placeholder);
+
+    readStorage(RECENT_FILES_KEY, []).forEach((file, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = file.name;
+        recentFilesSelect.appendChild(option);
+    });
+    recentFilesSelect.disabled = recentFilesSelect.options.length === 1;
+}
+
+function openAutomaton(name, data) {
+    const errors = validateAutomaton(data);
+    if (errors.length > 0) {
+        showErrors(`Não foi possível carregar ${name}`, errors);
+        return;
+    }
+    showErrors('', []);
+
+    addRecentFile(name, data);
+    addToWorkspace(name, createAutomaton(data));
+    if (typeof data.tape === 'string') wordInput.value = data.tape;
+}
+
+function addRecentFile(name, data) {
+    const recentFiles = readStorage(RECENT_FILES_KEY, []).filter(file => file.name !== name);
+    recentFiles.unshift({ name, data });
+    writeStorage(RECENT_FILES_KEY, recentFiles.slice(0, RECENT_FILES_LIMIT));
+    updateRecentFilesSelect();
+}
+
+function layoutOptions() {
+    const seed = layoutSeedInput.value.trim();
+    return [layoutSelect.value, seed === '' ? null : Number(seed)];
+}
+
+function addToWorkspace(label, automaton) {
+    automaton.layout(...layoutOptions());
+    workspace.push({ label, automaton });
+
+    for (const select of [automatonSelect, operandASelect, operandBSelect]) {
+        const option = document.createElement('option');
+        option.value = String(workspace.length - 1);
+        option.textContent = `${label} (${automaton.type})`;
+        select.appendChild(option);
+    }
+    if (workspace.length === 2) operandBSelect.value = '1';
+
+    showAutomaton(automaton);
+    fitToView();
+}
+
+function updateStackView(sim) {
+    configurationList.replaceChildren();
+    stackView.replaceChildren();
+    const configurations = sim?.step.configurations;
+    stackView.hidden = !configurations;
+    if (!configurations) return;
+
+    const remaining = sim.result.symbols.slice(sim.index).join('') || EPSILON;
+    for (const configuration of configurations) {
+        const item = document.createElement('li');
+        item.textContent = `(${configuration.state}, ${remaining}, ${formatStack(configuration.stack)})`;
+        if (sim.afd.isAccepting(configuration)) item.className = 'accepted';
+        configurationList.appendChild(item);
+    }
+
+    for (const configuration of configurations.slice(0, 6)) {
+        const column = document.createElement('div');
+        column.className = 'stack';
+
+        const { stack, previousStack } = configuration;
+        let kept = 0;
+        while (kept < Math.min(stack.length, previousStack.length)
+            && stack[stack.length - 1 - kept] === previousStack[previousStack.length - 1 - kept]) kept++;
+        const pushed = stack.length - kept;
+        stack.forEach((symbol, i) => {
+            const cell = document.createElement('span');
+            cell.textContent = symbol;
+            if (i < pushed) cell.classList.add('pushed');
+            column.appendChild(cell);
+        });
+
+        const label = document.createElement('strong');
+        label.textContent = configuration.state;
+        column.appendChild(label);
+        stackView.appendChild(column);
+    }
+}
+
+function updateTapeView(sim) {
+    if (sim?.step.tape) tapeView.show(sim.afd, sim.step);
+    else tapeView.clear();
+}
+
+function updateMachineStatus(sim) {
+    const { states: [state], tape, head } = sim.step;
+    const read = tape.get(head) ?? sim.afd.blank;
+
+    if (!sim.finished) {
+        simulationStatus.textContent = `Passo ${sim.index} de ${sim.result.steps.length - 1}: estado ${state}, cabeça na posição ${head} lendo '${read}'`;
+        simulationStatus.className = '';
+    } else if (sim.result.halt === 'accept') {
+        simulationStatus.textContent = `Aceita: a máquina parou no estado final ${state} após ${sim.index} passos`;
+        simulationStatus.className = 'accepted';
+    } else if (sim.result.halt === 'reject') {
+        simulationStatus.textContent = `Rejeitada: não há transição de ${state} lendo '${read}'`;
+        simulationStatus.className = 'rejected';
+    } else {
+        simulationStatus.textContent = `Interrompida: limite de ${sim.afd.stepLimit} passos atingido sem parar`;
+        simulationStatus.className = 'rejected';
+    }
+}
+
+function updateTransducerStatus(sim) {
+    const { symbols, steps, consumed } = sim.result;
+    const [state] = sim.step.states;
+    const path = steps.slice(0, sim.index + 1).map(step => step.states[0]).join(' → ');
+    simulationOutput.textContent = `Caminho: ${path} | Saída: ${formatWord(sim.step.output)}`;
+
+    if (!sim.finished) {
+        simulationStatus.textContent = `Passo ${sim.index} de ${symbols.length}: ${state}`;
+        simulationStatus.className = '';
+    } else if (consumed < symbols.length) {
+        simulationStatus.textContent = `Interrompida: não há transição de ${state} com '${symbols[consumed]}'`;
+        simulationStatus.className = 'rejected';
+    } else {
+        simulationStatus.textContent = `Concluída: a palavra produziu a saída ${formatWord(sim.result.output)}`;
+        simulationStatus.className = 'accepted';
+    }
+}
+
+function updateSimulationPanel(sim) {
+    simulationTape.replaceChildren();
+    simulationOutput.textContent = '';
+    updateStackView(sim);
+    updateTapeView(sim);
+    if (!sim) {
+        simulationStatus.textContent = '';
+        simulationStatus.className = '';
+        playButton.textContent = 'Executar';
+        return;
+    }
+
+    playButton.textContent = sim.playing ? 'Pausar' : 'Executar';
+    if (sim.afd instanceof MT) {
+        updateMachineStatus(sim);
+        return;
+    }
+
+    const { symbols, consumed, accepted } = sim.result;
+    symbols.forEach((symbol, i) => {
+        const cell = document.createElement('span');
+        cell.textContent = symbol;
+        if (i < sim.index) cell.classList.add('read');
+        if (i === sim.index && !sim.finished) cell.classList.add('current');
+        if (sim.finished && i >= consumed) cell.classList.add('unread');
+        simulationTape.appendChild(cell);
+    });
+
+    if (sim.result.output !== undefined) {
+        updateTransducerStatus(sim);
+        return;
+    }
+
+    const states = formatStates(sim.step.states);
+    const single = sim.step.states.length === 1;
+    if (!sim.finished) {
+        simulationStatus.textContent = `Passo ${sim.index} de ${symbols.length}: ${states}`;
+        simulationStatus.className = '';
+    } else if (sim.afd.acceptBy === 'emptyStack' && consumed === symbols.length) {
+        simulationStatus.textContent = accepted
+            ? 'Aceita: uma configuração terminou com a pilha vazia'
+            : 'Rejeitada: nenhuma configuração terminou com a pilha vazia';
+        simulationStatus.className = accepted ? 'accepted' : 'rejected';
+    } else if (accepted) {
+        simulationStatus.textContent = single
+            ? `Aceita: terminou no estado final ${states}`
+            : `Aceita: ${states} contém estado final`;
+        simulationStatus.className = 'accepted';
+    } else if (consumed < symbols.length) {
+        simulationStatus.textContent = `Rejeitada: não há transição de ${states} com '${symbols[consumed]}'`;
+        simulationStatus.className = 'rejected';
+    } else {
+        simulationStatus.textContent = single
+            ? `Rejeitada: ${states} não é um estado final`
+            : `Rejeitada: ${states} não contém estado final`;
+        simulationStatus.className = 'rejected';
+    }
+}
+
+function updateBatchTable() {
+    batchTable.replaceChildren();
+    batchSummary.textContent = '';
+    batchSummary.className = '';
+    if (!batchTests || !currentAFD?.initialState) return;
+
+    const results = runTestSuite(currentAFD, batchTests);
+
+    const header = batchTable.createTHead().insertRow();
+    for (const title of ['Palavra', 'Estado final', 'Veredito', 'Esperado', '']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+
+    const body = batchTable.createTBody();
+    for (const entry of results) {
+        const { word, expected, result, finalStates, passed } = entry;
+        const row = body.insertRow();
+        row.insertCell().textContent = formatWord(word);
+        row.insertCell().textContent = (result.consumed < result.symbols.length
+            ? `travou em ${formatStates(finalStates)}`
+            : formatStates(finalStates))
+            + (result.output !== undefined ? ` (saída ${formatWord(result.output)})` : '');
+
+        const verdict = row.insertCell();
+        verdict.textContent = result.accepted ? 'aceita' : 'rejeita';
+        verdict.className = result.accepted ? 'accepted' : 'rejected';
+
+        row.insertCell().textContent = expected === null ? '—' : expected ? 'aceita' : 'rejeita';
+        row.insertCell().textContent = passed === null ? '' : passed ? '✔' : '✘';
+        if (passed !== null) row.classList.add(passed ? 'passed' : 'failed');
+
+        row.addEventListener('click', () => {
+            simulation = null;
+            updateSimulationPanel(null);
+            body.querySelector('.selected')?.classList.remove('selected');
+            row.classList.add('selected');
+            diagramView.highlight(
+                [...new Set(result.steps.flatMap(step => step.states))],
+                result.steps.flatMap(step => step.edges)
+            );
+        });
+    }
+
+    const accepted = results.filter(entry => entry.result.accepted).length;
+    const checked = results.filter(entry => entry.passed !== null);
+    const passed = checked.filter(entry => entry.passed).length;
+
+    batchSummary.textContent = `${results.length} palavras: ${accepted} aceitas, ${results.length - accepted} rejeitadas`
+        + (checked.length > 0 ? `; ${passed} de ${checked.length} conforme o esperado` : '');
+    if (checked.length > 0) batchSummary.className = passed === checked.length ? 'accepted' : 'rejected';
+}
+
+function runBatchTests() {
+    try {
+        batchTests = parseTestSuite(batchWordsInput.value);
+    } catch (err) {
+        batchTests = null;
+        showErrors('Não foi possível ler os testes', [{ message: err.message, entries: [] }]);
+    }
+    updateBatchTable();
+}
+
+function updateTransitionTable() {
+    transitionTable.replaceChildren();
+    const editable = currentAFD && !(currentAFD instanceof RuleAutomaton);
+    transitionTableHint.textContent = !currentAFD || editable
+        ? 'Edite uma célula com o estado de destino (em AFN, vários separados por vírgula). Células vazias são transições ausentes.'
+        : 'Tabela disponível apenas para autômatos finitos.';
+    if (!editable) return;
+
+    const { symbols, rows } = currentAFD.transitionTable();
+
+    const header = transitionTable.createTHead().insertRow();
+    for (const title of ['δ', ...symbols]) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+
+    const body = transitionTable.createTBody();
+    for (const { name, isInitial, isFinal, cells } of rows) {
+        const row = body.insertRow();
+        const title = document.createElement('th');
+        title.textContent = `${isInitial ? '→' : ''}${isFinal ? '*' : ''}${currentAFD.stateLabel(name)}`;
+        row.appendChild(title);
+        row.addEventListener('mouseenter', () => diagramView.preview([name], []));
+
+        cells.forEach((targets, i) => {
+            const cell = row.insertCell();
+            cell.classList.toggle('missing', targets.length === 0);
+            cell.addEventListener('mouseenter', () => diagramView.preview(
+                targets.length === 0 ? [name] : [],
+                targets.map(to => edgeKey(name, to))
+            ));
+            cell.addEventListener('mouseleave', () => diagramView.preview([name], []));
+
+            const field = document.createElement('input');
+            field.value = targets.length === 0 ? '' : formatStates(targets);
+            field.placeholder = '∅';
+            field.title = `δ(${name}, ${symbols[i]})`;
+            field.addEventListener('change', () => {
+                const next = parseTargetCell(field.value, Array.from(currentAFD.states.keys()));
+                if (next.join(',') !== targets.join(',')) editor.setTargets(name, symbols[i], [...new Set(next)]);
+                updateTransitionTable();
+            });
+            cell.appendChild(field);
+        });
+    }
+}
+
+transitionTable.addEventListener('mouseleave', () => diagramView.endPreview());
+
+const PLAYBACK_ALGORITHMS = {
+    subsets: {
+        available: (automaton) => automaton instanceof AFN,
+        run: (automaton, trace) => automaton.toAFD(trace)
+    },
+    minimize: {
+        available: (automaton) => !(automaton instanceof AFN || automaton instanceof RuleAutomaton || automaton instanceof Moore),
+        run: (automaton, trace) => automaton.minimize(trace)
+    }
+};
+
+function updatePlaybackAlgorithms() {
+    let firstAvailable = null;
+    for (const option of playbackAlgorithmSelect.children) {
+        option.disabled = !currentAFD || !PLAYBACK_ALGORITHMS[option.value].available(currentAFD);
+        if (!option.disabled) firstAvailable ??= option.value;
+    }
+    if (firstAvailable && !PLAYBACK_ALGORITHMS[playbackAlgorithmSelect.value].available(currentAFD)) {
+        playbackAlgorithmSelect.value = firstAvailable;
+    }
+    playbackStartButton.disabled = !firstAvailable || !currentAFD.initialState;
+}
+
+function updatePlaybackPanel(playback) {
+    playbackBackButton.disabled = !playback;
+    playbackPlayButton.disabled = !playback;
+    playbackForwardButton.disabled = !playback;
+    playbackStopButton.disabled = !playback;
+
+    if (!playback) {
+        playbackPlayButton.textContent = 'Reproduzir';
+        playbackCounter.textContent = '';
+        playbackText.textContent = '';
+        return;
+    }
+
+    playbackPlayButton.textContent = playback.playing ? 'Pausar' : 'Reproduzir';
+    playbackCounter.textContent = `Passo ${playback.index + 1} de ${playback.trace.steps.length}`;
+    playbackText.textContent = playback.step.text;
+}
+
+function startPlayback() {
+    const algorithm = PLAYBACK_ALGORITHMS[playbackAlgorithmSelect.value];
+    if (!currentAFD?.initialState || !algorithm.available(currentAFD)) return;
+
+    simulation = null;
+    updateSimulationPanel(null);
+    inspector.reset();
+
+    const trace = new AlgorithmTrace();
+    algorithm.run(currentAFD, trace);
+    playback = new Playback(trace);
+    playback.show();
+    cameraControls.fit(diagramBounds(playback.result, diagramElements(playback.result)));
+}
+
+function stopPlayback() {
+    if (!playback) return;
+
+    playback = null;
+    updatePlaybackPanel(null);
+    diagramView.draw(currentAFD);
+    fitToView();
+}
+
+function togglePlayback() {
+    if (playback?.playing) playback.pause();
+    else playback?.play();
+}
+
+function updateMinimizationTable(result) {
+    minimizationTable.replaceChildren();
+    if (!result) return;
+
+    const header = minimizationTable.createTHead().insertRow();
+    for (const title of ['Rodada', 'Partição']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+
+    const body = minimizationTable.createTBody();
+    const finalRound = result.rounds.length - 1;
+    result.rounds.forEach((partition, i) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = `Π${i}`;
+
+        const cell = row.insertCell();
+        partition.forEach((block, j) => {
+            const chip = document.createElement('span');
+            chip.className = 'class-chip';
+            chip.textContent = `{${block.join(', ')}}`;
+            if (i === finalRound) chip.style.background = hexColor(classColor(j));
+            cell.appendChild(chip);
+        });
+    });
+
+    if (result.unreachable.length > 0) {
+        const row = body.insertRow();
+        row.insertCell().textContent = 'Removidos';
+        row.insertCell().textContent = `inalcançáveis: ${result.unreachable.join(', ')}`;
+    }
+}
+
+function applyClassColors(minimization) {
+    const { source, result } = minimization;
+    const enabled = colorClassesInput.checked;
+
+    source.stateColors = new Map(enabled ? [
+        ...result.unreachable.map(name => [name, UNREACHABLE_COLOR]),
+        ...result.classes.flatMap((block, i) => block.map(name => [name, classColor(i)]))
+    ] : []);
+    result.afd.stateColors = new Map(enabled ? result.classNames.map((name, i) => [name, classColor(i)]) : []);
+
+    if (currentAFD === source || currentAFD === result.afd) {
+        showAutomaton(currentAFD);
+    }
+}
+
+function showErrors(title, errors) {
+    errorList.replaceChildren();
+    errorPanel.hidden = errors.length === 0;
+    errorPanel.querySelector('h2').textContent = title;
+
+    for (const { message, entries } of errors) {
+        const item = document.createElement('li');
+        item.textContent = message;
+
+        if (entries.length > 0) {
+            const entryList = document.createElement('ul');
+            for (const entry of entries) {
+                const entryItem = document.createElement('li');
+                const code = document.createElement('code');
+                code.textContent = entry;
+                entryItem.appendChild(code);
+                entryList.appendChild(entryItem);
+            }
+            item.appendChild(entryList);
+        }
+
+        errorList.appendChild(item);
+    }
+}
+
+function startSimulation() {
+    if (!currentAFD?.initialState) return null;
+
+    stopPlayback();
+    inspector.reset();
+    simulation = new Simulation(currentAFD, wordInput.value.trim());
+    simulation.show();
+    saveSession();
+    return simulation;
+}
+
+closeErrorsButton.addEventListener('click', () => showErrors('', []));
+
+minimizeButton.addEventListener('click', () => {
+    if (!currentAFD || currentAFD instanceof AFN) return;
+    if (currentAFD.initialState === null) {
+        showErrors('Falha na minimização', [{
+            message: 'O autômato não tem estado inicial; marque um estado como inicial antes de minimizar.',
+            entries: []
+        }]);
+        return;
+    }
+
+    const source = currentAFD;
+    const entry = workspace.find(e => e.automaton === source);
+    minimization = { source, result: source.minimize() };
+
+    updateMinimizationTable(minimization.result);
+    addToWorkspace(`Mínimo de ${entry.label}`, minimization.result.afd);
+    applyClassColors(minimization);
+});
+
+colorClassesInput.addEventListener('change', () => {
+    if (minimization) applyClassColors(minimization);
+});
+
+editModeInput.addEventListener('change', () => {
+    editor.enabled = editModeInput.checked;
+    renderer.domElement.classList.toggle('editing', editor.enabled);
+    if (!editor.enabled && currentAFD) editor.select(null);
+});
+
+toggleInitialButton.addEventListener('click', () => editor.toggleInitial());
+toggleFinalButton.addEventListener('click', () => editor.toggleFinal());
+stateOutputButton.addEventListener('click', () => editor.setOutput());
+deleteButton.addEventListener('click', () => editor.deleteSelection());
+undoButton.addEventListener('click', () => editor.undo());
+redoButton.addEventListener('click', () => editor.redo());
+
+function currentFileName(extension) {
+    const entry = workspace.find(e => e.automaton === currentAFD);
+    return `${baseName(entry.label)}.${extension}`;
+}
+
+exportJSONButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+    downloadFile(currentFileName('json'), JSON.stringify(currentAFD.toJSON(), null, 2), 'application/json');
+});
+
+exportSVGButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+    downloadFile(currentFileName('svg'), exportSVG(currentAFD).svg, 'image/svg+xml');
+});
+
+exportPNGButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+
+    const filename = currentFileName('png');
+    exportPNG(currentAFD)
+        .then(blob => downloadFile(filename, blob))
+        .catch(err => showErrors('Falha na exportação', [{ message: err.message, entries: [] }]));
+});
+
+exportTikZButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+    downloadFile(currentFileName('tex'), exportTikZ(currentAFD), 'application/x-tex');
+});
+
+exportJFLAPButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+    downloadFile(currentFileName('jff'), exportJFLAP(currentAFD), 'application/xml');
+});
+
+exportDOTButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+    const filename = currentFileName('dot');
+    downloadFile(filename, exportDOT(currentAFD, baseName(filename)), 'text/vnd.graphviz');
+});
+
+exportGrammarButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+
+    try {
+        downloadFile(currentFileName('txt'), automatonGrammar(currentAFD), 'text/plain');
+    } catch (err) {
+        showErrors('Falha na exportação', [{ message: err.message, entries: [] }]);
+    }
+});
+
+regexForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const text = regexInput.value.trim();
+    let result;
+    try {
+        result = regexToAFD(text);
+    } catch (err) {
+        showErrors('Expressão regular inválida', [{ message: err.message, entries: [] }]);
+        return;
+    }
+    showErrors('', []);
+
+    addToWorkspace(`Thompson de ${text}`, result.enfa);
+    addToWorkspace(`AFD mínimo de ${text}`, result.afd);
+});
+
+grammarForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    let automaton;
+    try {
+        automaton = grammarToAutomaton(parseGrammar(grammarInput.value));
+    } catch (err) {
+        showErrors('Gramática inválida', [{ message: err.message, entries: [] }]);
+        return;
+    }
+    showErrors('', []);
+
+    const [first] = grammarInput.value.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '' && !line.startsWith('#'));
+    addToWorkspace(`gramática ${first}`, automaton);
+});
+
+function automatonGrammar(automaton) {
+    const { grammar, names } = automaton.toGrammar();
+    return formatGrammar(grammar, names);
+}
+
+toGrammarButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+
+    try {
+        grammarInput.value = automatonGrammar(currentAFD);
+    } catch (err) {
+        showErrors('Falha na conversão', [{ message: err.message, entries: [] }]);
+    }
+});
+
+function updateEliminationSteps({ regex, steps }) {
+    regexOutput.textContent = regex;
+    eliminationSteps.replaceChildren();
+
+    for (const { eliminated, edges } of steps) {
+        const item = document.createElement('li');
+        const title = document.createElement('strong');
+        title.textContent = eliminated === null ? 'GNFA inicial' : `Eliminando ${eliminated}`;
+        item.appendChild(title);
+
+        const list = document.createElement('ul');
+        for (const { from, to, regex: label } of edges) {
+            const edge = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = label;
+            edge.append(`${from} → ${to}: `, code);
+            list.appendChild(edge);
+        }
+        item.appendChild(list);
+        eliminationSteps.appendChild(item);
+    }
+}
+
+toRegexButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+
+    try {
+        updateEliminationSteps(currentAFD.toRegex());
+    } catch (err) {
+        showErrors('Falha na conversão', [{ message: err.message, entries: [] }]);
+    }
+});
+
+const asAFD = (automaton) => automaton instanceof AFN ? automaton.toAFD() : automaton;
+
+function selectedOperands() {
+    const a = workspace[Number(operandASelect.value)];
+    const b = workspace[Number(operandBSelect.value)];
+    if (!a || !b) return null;
+
+    const unsupported = [a, b].find(entry => entry.automaton instanceof RuleAutomaton || entry.automaton instanceof Moore);
+    if (unsupported) {
+        showErrors('Operação não suportada', [{
+            message: `${unsupported.label} é do tipo ${unsupported.automaton.type}; as operações valem apenas para autômatos finitos.`,
+            entries: []
+        }]);
+        return null;
+    }
+    return { a, b };
+}
+
+function haveInitialStates(...entries) {
+    const missing = entries.find(entry => entry.automaton.initialState === null);
+    if (missing) {
+        showErrors('Estado inicial ausente', [{
+            message: `${missing.label} não tem estado inicial; marque um estado como inicial antes de aplicar a operação.`,
+            entries: []
+        }]);
+        return false;
+    }
+    return true;
+}
+
+let counterexample = null;
+
+function showOperationResult(text, word = null) {
+    operationResult.textContent = text;
+    counterexample = word;
+    counterexampleControls.hidden = word === null;
+}
+
+const operations = {
+    union: { symbol: '∪', accepts: (p, q) => p || q },
+    intersection: { symbol: '∩', accepts: (p, q) => p && q },
+    difference: { symbol: '−', accepts: (p, q) => p && !q }
+};
+
+for (const [operation, { symbol, accepts }] of Object.entries(operations)) {
+    document.getElementById(`${operation}Button`).addEventListener('click', () => {
+        const operands = selectedOperands();
+        if (!operands) return;
+
+        const { a, b } = operands;
+        if (!haveInitialStates(a, b)) return;
+
+        const result = asAFD(a.automaton).product(asAFD(b.automaton), accepts);
+        showOperationResult(`${result.states.size} estados alcançáveis no produto.`);
+        addToWorkspace(`${a.label} ${symbol} ${b.label}`, result);
+    });
+}
+
+document.getElementById('complementButton').addEventListener('click', () => {
+    const operands = selectedOperands();
+    if (!operands) return;
+
+    const { a } = operands;
+    if (!haveInitialStates(a)) return;
+
+    showOperationResult('Complemento calculado sobre o autômato completo.');
+    addToWorkspace(`complemento de ${a.label}`, asAFD(a.automaton).complement());
+});
+
+document.getElementById('equivalenceButton').addEventListener('click', () => {
+    const operands = selectedOperands();
+    if (!operands) return;
+
+    const { a, b } = operands;
+    if (!haveInitialStates(a, b)) return;
+
+    const result = asAFD(a.automaton).distinguishingWord(asAFD(b.automaton));
+    if (result === null) {
+        showOperationResult(`${a.label} e ${b.label} são equivalentes.`);
+        return;
+    }
+
+    const word = result.word === '' ? 'ε' : result.word;
+    const accepter = result.acceptedBy === 'A' ? a.label : b.label;
+    showOperationResult(`Não equivalentes: a palavra mais curta que os distingue é "${word}", aceita apenas por ${accepter}.`, result.word);
+});
+
+function simulateCounterexample(entry) {
+    if (!entry || counterexample === null) return;
+
+    showAutomaton(entry.automaton);
+    wordInput.value = counterexample;
+    startSimulation();
+}
+
+simulateOnAButton.addEventListener('click', () => simulateCounterexample(selectedOperands()?.a));
+simulateOnBButton.addEventListener('click', () => simulateCounterexample(selectedOperands()?.b));
+
+completeButton.addEventListener('click', () => {
+    if (!currentAFD || currentAFD instanceof AFN) return;
+
+    const completed = currentAFD.complete();
+    if (!completed.trapState) return;
+
+    editor.record();
+    currentAFD.restore(completed.snapshot());
+    editor.commit();
+});
+
+markUselessInput.addEventListener('change', () => {
+    diagramOptions.markUselessStates = markUselessInput.checked;
+    if (currentAFD) editor.redraw();
+});
+
+const clampInput = (input, fallback) => {
+    const value = THREE.MathUtils.clamp(Number(input.value) || fallback, Number(input.min), Number(input.max));
+    input.value = String(value);
+    return value;
+};
+
+function separateStates(automaton) {
+    automaton.preventOverlap();
+    for (const [name, position] of automaton.fixedPositions) {
+        if (automaton.states.has(name)) position.copy(automaton.states.get(name).position);
+    }
+}
+
+function applyDiagramStyle() {
+    const radiusChanged = diagramOptions.stateRadius !== STATE_RADIUS;
+    setStateRadius(diagramOptions.stateRadius);
+    if (radiusChanged) workspace.forEach(({ automaton }) => separateStates(automaton));
+    scene.background = new THREE.Color(currentTheme().background);
+    document.body.dataset.theme = diagramOptions.theme;
+    document.body.dataset.palette = diagramOptions.palette;
+
+    if (playback) {
+        playback.show();
+    } else if (currentAFD) {
+        editor.redraw();
+        simulation?.show();
+    }
+    if (radiusChanged && currentAFD) fitToView();
+}
+
+function updateDiagramStyle() {
+    const paletteChanged = paletteSelect.value !== diagramOptions.palette;
+    Object.assign(diagramOptions, {
+        theme: themeSelect.value,
+        palette: paletteSelect.value,
+        fontFamily: fontFamilySelect.value,
+        fontSize: clampInput(fontSizeInput, 12),
+        lineWidth: clampInput(lineWidthInput, 1),
+        stateRadius: clampInput(stateRadiusInput, DEFAULT_STATE_RADIUS)
+    });
+    writeStorage(STYLE_KEY, {
+        theme: diagramOptions.theme,
+        palette: diagramOptions.palette,
+        fontFamily: diagramOptions.fontFamily,
+        fontSize: diagramOptions.fontSize,
+        lineWidth: diagramOptions.lineWidth,
+        stateRadius: diagramOptions.stateRadius
+    });
+
+    if (paletteChanged && minimization) {
+        updateMinimizationTable(minimization.result);
+        applyClassColors(minimization);
+    }
+    applyDiagramStyle();
+}
+
+function restoreDiagramStyle() {
+    const style = readStorage(STYLE_KEY, {});
+    themeSelect.value = THEMES[style.theme] ? style.theme : diagramOptions.theme;
+    paletteSelect.value = PALETTES[style.palette] ? style.palette : diagramOptions.palette;
+    fontFamilySelect.value = style.fontFamily ?? diagramOptions.fontFamily;
+    fontSizeInput.value = String(style.fontSize ?? diagramOptions.fontSize);
+    lineWidthInput.value = String(style.lineWidth ?? diagramOptions.lineWidth);
+    stateRadiusInput.value = String(style.stateRadius ?? diagramOptions.stateRadius);
+    updateDiagramStyle();
+}
+
+for (const control of [themeSelect, paletteSelect, fontFamilySelect, fontSizeInput, lineWidthInput, stateRadiusInput]) {
+    control.addEventListener('change', updateDiagramStyle);
+}
+
+wordLimitInput.addEventListener('change', updateLanguageAnalysis);
+lengthBoundInput.addEventListener('change', updateLanguageAnalysis);
+
+zoomInButton.addEventListener('click', () => cameraControls.zoomBy(1.25));
+zoomOutButton.addEventListener('click', () => cameraControls.zoomBy(0.8));
+fitButton.addEventListener('click', fitToView);
+
+relayoutButton.addEventListener('click', () => {
+    if (!currentAFD) return;
+
+    editor.record();
+    currentAFD.fixedPositions.clear();
+    currentAFD.edgeBends.clear();
+    currentAFD.layout(...layoutOptions());
+    editor.commit();
+    fitToView();
+});
+
+window.addEventListener('keydown', (e) => {
+    if (!editor.enabled || !editor.afd || e.target.closest?.('input, textarea, select')) return;
+
+    if (e.key === 'Escape') {
+        editor.select(null);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        editor.deleteSelection();
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) editor.redo();
+        else editor.undo();
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+        e.preventDefault();
+        editor.redo();
+    }
+});
+
+recentFilesSelect.addEventListener('change', () => {
+    const file = readStorage(RECENT_FILES_KEY, [])[Number(recentFilesSelect.value)];
+    recentFilesSelect.value = '';
+    if (!file) return;
+
+    openAutomaton(file.name, file.data);
+});
+
+automatonSelect.addEventListener('change', () => {
+    const entry = workspace[Number(automatonSelect.value)];
+    if (entry) showAutomaton(entry.automaton);
+});
+
+newAutomatonButton.addEventListener('click', () => {
+    const automaton = newAutomaton(newTypeSelect.value);
+    addToWorkspace(`novo ${workspace.length + 1}`, automaton);
+
+    editModeInput.checked = true;
+    editModeInput.dispatchEvent(new Event('change'));
+});
+
+convertButton.addEventListener('click', () => {
+    const conversion = conversionOf(currentAFD);
+    if (!conversion) return;
+    if (currentAFD.initialState === null) {
+        showErrors('Falha na conversão', [{
+            message: 'O autômato não tem estado inicial; marque um estado como inicial antes de converter.',
+            entries: []
+        }]);
+        return;
+    }
+
+    const entry = workspace.find(e => e.automaton === currentAFD);
+    addToWorkspace(`${conversion.target} de ${entry.label}`, conversion.convert());
+});
+
+simulationForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    startSimulation();
+});
+
+playButton.addEventListener('click', () => {
+    const sim = simulation ?? startSimulation();
+    if (!sim) return;
+    if (sim.playing) sim.pause();
+    else sim.play();
+});
+
+acceptanceSelect.addEventListener('change', () => {
+    if (!(currentAFD instanceof APD)) return;
+
+    currentAFD.acceptBy = acceptanceSelect.value;
+    if (simulation) startSimulation();
+    updateBatchTable();
+    saveSession();
+});
+
+stepLimitInput.addEventListener('change', () => {
+    if (!(currentAFD instanceof MT)) return;
+
+    currentAFD.stepLimit = Math.max(1, Math.floor(Number(stepLimitInput.value)) || DEFAULT_STEP_LIMIT);
+    stepLimitInput.value = String(currentAFD.stepLimit);
+    if (simulation) startSimulation();
+    updateBatchTable();
+    saveSession();
+});
+
+wordInput.addEventListener('input', () => {
+    simulation = null;
+    diagramView.clearHighlight();
+    updateSimulationPanel(null);
+});
+
+playbackStartButton.addEventListener('click', startPlayback);
+playbackBackButton.addEventListener('click', () => playback?.back());
+playbackForwardButton.addEventListener('click', () => playback?.forward());
+playbackPlayButton.addEventListener('click', togglePlayback);
+playbackStopButton.addEventListener('click', stopPlayback);
+
+window.addEventListener('keydown', (e) => {
+    if (!playback || e.target.closest?.('input, textarea, select')) return;
+
+    if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        playback.forward();
+    } else if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        playback.back();
+    } else if (e.key === ' ') {
+        e.preventDefault();
+        togglePlayback();
+    } else if (e.key === 'Escape') {
+        stopPlayback();
+    }
+});
+
+stepForwardButton.addEventListener('click', () => (simulation ?? startSimulation())?.forward());
+stepBackButton.addEventListener('click', () => simulation?.back());
+resetButton.addEventListener('click', () => simulation?.reset());
+
+batchRunButton.addEventListener('click', runBatchTests);
+
+batchFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            batchWordsInput.value = formatTestSuite(parseTestSuite(event.target.result));
+        } catch (err) {
+            showErrors(`Não foi possível carregar ${file.name}`, [{ message: err.message, entries: [] }]);
+            return;
+        }
+        runBatchTests();
+    };
+    reader.readAsText(file);
+    batchFileInput.value = '';
+});
+
+input.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        let data;
+        try {
+            ({ data } = importAutomaton(event.target.result, file.name));
+        } catch (err) {
+            showErrors(`Não foi possível carregar ${file.name}`, [{ message: err.message, entries: [] }]);
+            return;
+        }
+
+        openAutomaton(file.name, data);
+    };
+    reader.readAsText(file);
+});
+
+window.addEventListener('pagehide', saveSession);
+
+restoreDiagramStyle();
+updateRecentFilesSelect();
+restoreSession();
 
-function animate() {
+function animate(time) {
     requestAnimationFrame(animate);
+    simulation?.update(time);
+    playback?.update(time);
+    refreshLabels();
     renderer.render(scene, camera);
 }
-animate();
\ No newline at end of file
+animate();
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runCli } from '../cli.js';
+
+const fixture = (name) => fileURLToPath(new URL(`../${name}`, import.meta.url));
+
+function run(...args) {
+    const output = [];
+    const errors = [];
+    const code = runCli(args, line => output.push(line), line => errors.push(line));
+    return { code, output, errors: errors.join('\n') };
+}
+
+test('accept mostra o caminho e o veredito', () => {
+    const accepted = run('accept', fixture('input.json'), 'ab');
+    assert.equal(accepted.code, 0);
+    assert.deepEqual(accepted.output, ['caminho: Q0 → Q1 → Q2', 'aceita']);
+
+    const rejected = run('accept', fixture('input.json'), 'ba');
+    assert.equal(rejected.code, 1);
+    assert.equal(rejected.output.at(-1), 'rejeita');
+    assert.match(rejected.output[1], /travou no símbolo 1 \('b'\)/);
+});
+
+test('accept mostra a saída de transdutores e a parada de MT', () => {
+    assert.ok(run('accept', fixture('input8.json'), 'abba').output.includes('saída: 0010'));
+    assert.match(run('accept', fixture('input7.json'), 'aabb').output[1], /parou em estado final/);
+    assert.equal(run('accept', fixture('input6.json'), 'ε').code, 1);
+});
+
+test('test executa a lista de palavras e compara com o esperado', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'automato-'));
+    const words = join(directory, 'palavras.txt');
+
+    writeFileSync(words, 'ab aceita\nba rejeita\naab\n');
+    const passing = run('test', fixture('input.json'), words);
+    assert.equal(passing.code, 0);
+    assert.equal(passing.output.at(-1), '3 palavras: 1 aceitas, 2 rejeitadas; 2 de 2 conforme o esperado');
+
+    writeFileSync(words, 'ab rejeita\n');
+    const failing = run('test', fixture('input.json'), words);
+    assert.equal(failing.code, 1);
+    assert.match(failing.output[0], /esperado rejeita ✘/);
+});
+
+test('layout imprime as coordenadas de cada estado', () => {
+    const { code, output } = run('layout', fixture('input2.json'), 'circular');
+    assert.equal(code, 0);
+    assert.deepEqual(output.map(line => line.split('\t')[0]), ['Q0', 'Q1', 'Q2', 'Q3', 'Q4']);
+    output.forEach(line => line.split('\t').slice(1).forEach(value => assert.ok(Number.isFinite(Number(value)))));
+
+    assert.deepEqual(run('layout', fixture('input.json'), 'force', '7').output, run('layout', fixture('input.json'), 'force', '7').output);
+});
+
+test('erros de uso e de arquivo retornam código 2', () => {
+    assert.equal(run().code, 2);
+    assert.match(run('desenhar').errors, /Comando desconhecido/);
+    assert.match(run('layout', fixture('input.json'), 'espiral').errors, /Layout desconhecido/);
+    assert.match(run('accept', fixture('ausente.json'), 'a').errors, /Não foi possível ler/);
+    assert.match(run('accept', fixture('README.md'), 'a').errors, /JSON inválido/);
+});
@@ -0,0 +1,240 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    DEFAULT_STATE_RADIUS,
+    MIN_STATE_DISTANCE,
+    setStateRadius,
+    AlgorithmTrace,
+    validateAutomaton,
+    createAutomaton,
+    regexToAFD,
+    parseGrammar,
+    grammarToAutomaton,
+    formatGrammar,
+    parseTestSuite,
+    runTestSuite
+} from '../core.js';
+
+const FIXTURES = ['input.json', 'input2.json', 'input4.json', 'input5.json', 'input6.json', 'input7.json', 'input8.json'];
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+const load = (name) => createAutomaton(fixture(name));
+const accepted = (automaton, words) => words.filter(word => automaton.run(word).accepted);
+
+test('os exemplos incluídos são válidos', () => {
+    for (const name of FIXTURES) {
+        assert.deepEqual(validateAutomaton(fixture(name)), [], name);
+    }
+});
+
+test('validação aponta campos ausentes e não determinismo', () => {
+    assert.match(validateAutomaton({})[0].message, /"states"/);
+
+    const data = fixture('input.json');
+    data.transitions.push({ ...data.transitions[0], to: data.states[2] });
+    const [error] = validateAutomaton(data);
+    assert.match(error.message, /Não determinismo/);
+
+    const apd = { ...fixture('input6.json'), initialStackSymbol: 5 };
+    assert.deepEqual(validateAutomaton(apd).map(e => e.message), ['O campo "initialStackSymbol" deve ser um texto.']);
+});
+
+test('AFD aceita e rejeita palavras', () => {
+    const words = ['', 'a', 'b', 'ab', 'ba', 'aa', 'aab', 'abaab'];
+    assert.deepEqual(accepted(load('input.json'), words), ['ab', 'abaab']);
+    assert.deepEqual(accepted(load('input2.json'), words), ['aa']);
+    assert.deepEqual(accepted(load('input4.json'), ['abca', 'abc', 'abcab', 'cab']), ['abca', 'abcab']);
+
+    const result = load('input.json').run('aba');
+    assert.equal(result.consumed, 3);
+    assert.deepEqual(result.steps.map(step => step.states), [['Q0'], ['Q1'], ['Q2'], ['Q0']]);
+    assert.equal(load('input.json').run('ba').consumed, 0);
+});
+
+test('AFN-ε aceita as mesmas palavras que o AFD convertido', () => {
+    const afn = load('input5.json');
+    const afd = afn.toAFD();
+    const words = ['', 'a', 'ab', 'aab', 'aba', 'abab', 'abaab', 'bb'];
+    assert.deepEqual(accepted(afn, words), ['ab', 'aab', 'aba', 'abab', 'abaab']);
+    assert.deepEqual(accepted(afd, words), accepted(afn, words));
+});
+
+test('APD reconhece aⁿbⁿ e guarda a pilha de cada configuração', () => {
+    const apd = load('input6.json');
+    assert.deepEqual(accepted(apd, ['', 'ab', 'aabb', 'aab', 'abb', 'ba']), ['ab', 'aabb']);
+    assert.equal(apd.run('aab').steps.at(-1).configurations[0].stack.join(''), 'AZ');
+
+    const byEmptyStack = createAutomaton({ ...fixture('input6.json'), acceptBy: 'emptyStack', finalStates: [] });
+    assert.deepEqual(byEmptyStack.classifyStates(), new Map());
+});
+
+test('MT reconhece aⁿbⁿ e para no limite de passos', () => {
+    const mt = load('input7.json');
+    assert.equal(mt.run('aabb').halt, 'accept');
+    assert.equal(mt.run('aab').halt, 'reject');
+
+    mt.stepLimit = 3;
+    assert.equal(mt.run('aabb').halt, 'limit');
+});
+
+test('transdutores produzem a mesma saída após a conversão', () => {
+    const mealy = load('input8.json');
+    const moore = mealy.toMoore();
+    for (const word of ['aab', 'abba', 'bbbaa']) {
+        assert.equal(moore.run(word).output, mealy.run(word).output, word);
+        assert.equal(moore.toMealy().run(word).output, mealy.run(word).output, word);
+    }
+    assert.equal(mealy.run('abba').output, '0010');
+    assert.deepEqual(mealy.classifyStates(), new Map());
+    assert.deepEqual(moore.classifyStates(), new Map());
+});
+
+test('tabela de transições inclui laços e edita os destinos', () => {
+    const afd = load('input.json');
+    afd.setTargets('Q1', 'b', ['Q1']);
+    const { symbols, rows } = afd.transitionTable();
+    assert.deepEqual(symbols, ['a', 'b']);
+    assert.deepEqual(rows.map(row => row.cells), [[['Q1'], []], [[], ['Q1']], [['Q0'], []]]);
+    assert.deepEqual(afd.selfLoops.get('Q1'), ['b']);
+
+    afd.setTargets('Q1', 'a', ['Q1']);
+    assert.equal(afd.selfLoopLabel(afd.selfLoops.get('Q1')), 'a,b');
+    assert.deepEqual(afd.selfLoops.get('Q1'), ['b', 'a']);
+
+    afd.setTargets('Q1', 'a', []);
+    afd.setTargets('Q1', 'b', []);
+    assert.equal(afd.selfLoops.has('Q1'), false);
+    assert.deepEqual(load('input5.json').transitionTable().symbols.at(-1), 'ε');
+});
+
+test('minimização e expressões regulares preservam a linguagem', () => {
+    const afd = load('input2.json');
+    const { afd: minimal } = afd.minimize();
+    assert.equal(minimal.states.size, 5);
+
+    const words = ['', 'a', 'aa', 'aba', 'abba', 'abab', 'aaab'];
+    const fromRegex = regexToAFD(afd.toRegex().regex).afd;
+    assert.deepEqual(accepted(fromRegex, words), accepted(afd, words));
+});
+
+test('gramáticas lineares à direita e à esquerda geram o autômato equivalente', () => {
+    const words = ['', 'a', 'b', 'ab', 'ba', 'aab', 'abb', 'abab'];
+    const right = grammarToAutomaton(parseGrammar('S → aS | bA\nA → b | ε'));
+    const left = grammarToAutomaton(parseGrammar('S -> Sb | Ab\nA -> Aa | ε'));
+    assert.deepEqual(accepted(right, words), ['b', 'ab', 'aab', 'abb']);
+    assert.deepEqual(accepted(left, words).sort(), accepted(right, words).sort());
+    assert.equal(parseGrammar('S → aS | b').linearity, 'right');
+
+    assert.throws(() => parseGrammar('S → aSb'), /Gramática/);
+    assert.throws(() => parseGrammar('S → aS\nS → Sa'), /misturadas/);
+});
+
+test('a gramática derivada do autômato reconhece a mesma linguagem', () => {
+    const afd = load('input2.json');
+    const { grammar, names } = afd.toGrammar();
+    const text = formatGrammar(grammar, names);
+    const words = ['', 'a', 'aa', 'aba', 'abba', 'abab', 'aaab'];
+    assert.deepEqual(accepted(grammarToAutomaton(parseGrammar(text)), words), accepted(afd, words));
+
+    const roundTrip = (data) => grammarToAutomaton(parseGrammar(formatGrammar(createAutomaton(data).toGrammar().grammar)));
+    const unproductiveStart = roundTrip({
+        states: ['Q0', 'Q1'], alphabet: ['a'], transitions: [{ from: 'Q1', to: 'Q1', symbol: 'a' }], startState: 'Q0', finalStates: ['Q1']
+    });
+    assert.deepEqual(accepted(unproductiveStart, ['', 'a', 'aa']), []);
+    assert.deepEqual(accepted(roundTrip({ states: ['Q0'], alphabet: ['a'], transitions: [], startState: 'Q0', finalStates: [] }), ['', 'a']), []);
+});
+
+test('passos gravados reconstroem o resultado dos algoritmos', () => {
+    const subsets = new AlgorithmTrace();
+    const afd = load('input5.json').toAFD(subsets);
+    assert.match(subsets.steps[0].text, /fecho-ε\(Q0\)/);
+    assert.deepEqual(subsets.build().toJSON(), afd.toJSON());
+    assert.equal(subsets.build(1).states.size, 1);
+
+    const rounds = new AlgorithmTrace();
+    const { afd: minimal } = load('input2.json').minimize(rounds);
+    assert.match(rounds.steps[0].text, /^Π0 = /);
+    assert.deepEqual(rounds.build().toJSON(), minimal.toJSON());
+});
+
+test('detalhes do estado e caminho mais curto entre estados', () => {
+    const afd = load('input2.json');
+    assert.deepEqual(afd.stateDetails('Q1'), { in: 1, out: 2, distance: 1, isFinal: false });
+    assert.deepEqual(afd.shortestPath('Q0', 'Q4'), {
+        word: 'aba',
+        states: ['Q0', 'Q1', 'Q2', 'Q4'],
+        edges: ['Q0→Q1', 'Q1→Q2', 'Q2→Q4']
+    });
+    assert.equal(afd.shortestPath('Q4', 'Q0'), null);
+    assert.equal(afd.shortestPath('Q3', 'Q3').word, '');
+    assert.equal(load('input8.json').shortestPath('q0', 'qb').word, 'b');
+});
+
+test('análise da linguagem conta palavras por comprimento', () => {
+    const { status, words, counts } = load('input2.json').analyseLanguage(3, 4);
+    assert.equal(status, 'infinite');
+    assert.deepEqual(words, ['aa', 'aaa', 'aba']);
+    assert.deepEqual(counts, [0, 0, 1, 2, 2]);
+});
+
+test('layouts com semente são reproduzíveis e sem sobreposição', () => {
+    for (const name of FIXTURES) {
+        for (const algorithm of ['radial', 'layered', 'circular', 'force']) {
+            const first = load(name);
+            const second = load(name);
+            first.layout(algorithm, 42);
+            second.layout(algorithm, 42);
+            assert.deepEqual(first.toJSON().positions, second.toJSON().positions, `${name} ${algorithm}`);
+
+            const positions = Array.from(first.states.values(), state => state.position);
+            positions.forEach((a, i) => positions.slice(i + 1).forEach(b => {
+                assert.ok(a.distanceTo(b) > MIN_STATE_DISTANCE / 2, `${name} ${algorithm}`);
+            }));
+        }
+    }
+});
+
+test('o raio dos estados ajusta o espaçamento do layout', () => {
+    setStateRadius(60);
+    try {
+        assert.equal(MIN_STATE_DISTANCE, 150);
+        const afd = load('input2.json');
+        afd.layout('circular', 1);
+        const positions = Array.from(afd.states.values(), state => state.position);
+        positions.forEach((a, i) => positions.slice(i + 1).forEach(b => assert.ok(a.distanceTo(b) > 120)));
+    } finally {
+        setStateRadius(DEFAULT_STATE_RADIUS);
+    }
+    assert.equal(MIN_STATE_DISTANCE, DEFAULT_STATE_RADIUS * 2.5);
+});
+
+test('posições salvas são mantidas pelo layout', () => {
+    const data = { ...fixture('input.json'), positions: { Q0: { x: 10, y: 20 }, Q1: { x: 200, y: 20 }, Q2: { x: 400, y: 20 } } };
+    const afd = createAutomaton(data);
+    afd.layout('force', 1);
+    assert.deepEqual(afd.toJSON().positions, data.positions);
+});
+
+test('toJSON gera dados válidos que recriam o autômato', () => {
+    for (const name of FIXTURES) {
+        const original = load(name);
+        original.layout('radial', 1);
+        const data = original.toJSON();
+        assert.deepEqual(validateAutomaton(data), [], name);
+        const fields = new Set(['from', 'to', ...fixture(name).transitions.flatMap(Object.keys)]);
+        assert.ok(data.transitions.every(t => Object.keys(t).every(key => fields.has(key))), name);
+        const recreated = createAutomaton(data);
+        recreated.layout('radial', 2);
+        assert.deepEqual(recreated.toJSON(), data, name);
+    }
+});
+
+test('suítes de teste comparam o resultado esperado', () => {
+    const tests = parseTestSuite('ab aceita\nba rejeita\nε aceita\n# comentário\naab');
+    assert.deepEqual(tests.map(t => t.expected), [true, false, true, null]);
+
+    const results = runTestSuite(load('input.json'), tests);
+    assert.deepEqual(results.map(r => r.passed), [true, true, false, null]);
+    assert.throws(() => parseTestSuite('ab talvez'), /inválido/);
+});